@@ -11,8 +11,25 @@ create table users
     updated_at    timestamp with time zone          not null,
     last_login_at timestamp with time zone,
     team_id       uuid,
+    team_role     text
+        constraint users_team_role_check
+            check (team_role in ('owner', 'maintainer', 'member')),
     banned        boolean default false             not null,
-    admin         boolean default false             not null
+    banned_at     timestamp with time zone,
+    banned_until  timestamp with time zone,
+    ban_reason    text,
+    banned_by     uuid
+        constraint users_banned_by_fk
+            references users
+            on update cascade on delete set null,
+    admin         boolean default false             not null,
+    roles         text[]  default '{member}'        not null
+        constraint users_roles_check
+            check (roles <@ array ['moderator', 'facilitator', 'member', 'guest']),
+    totp_secret   text,
+    totp_enabled  boolean default false             not null,
+    totp_counter  bigint,
+    password_reset_required boolean default false not null
 );
 
 comment on table users is 'table for all users';
@@ -35,8 +52,28 @@ comment on column users.last_login_at is 'date when the user logged in the last
 
 comment on column users.team_id is 'foreign key of table teams';
 
+comment on column users.team_role is 'role in the team: owner, maintainer or member';
+
+comment on column users.roles is 'roles of the user besides admin (admin column): moderator, facilitator, member or guest';
+
+comment on column users.totp_secret is 'base32 secret for two-factor authentication, set with the enrollment';
+
+comment on column users.totp_enabled is 'two-factor authentication is active after verifying the first code';
+
+comment on column users.totp_counter is 'period of the last used code, every code can be used only once';
+
 comment on column users.banned is 'a value to check if the user is banned or not';
 
+comment on column users.banned_at is 'date when the user was banned';
+
+comment on column users.banned_until is 'end of the ban, null for a permanent ban';
+
+comment on column users.ban_reason is 'reason of the ban for the moderators and the user';
+
+comment on column users.banned_by is 'user who banned the user';
+
+comment on column users.password_reset_required is 'the user has to set a new password with the mail of a forced password reset';
+
 create unique index users_id_uindex
     on users (id);
 
@@ -46,6 +83,39 @@ create unique index users_email_uindex
 create unique index users_username_uindex
     on users (username);
 
+-- owner of the kept public tactons, tags and body tags of deleted accounts, the invalid hash prevents logins
+insert into users (id, username, email, name, password, created_at, updated_at, roles)
+values ('00000000-0000-0000-0000-000000000000', 'former-participant', 'former-participant@localhost.invalid',
+        'Former participant', repeat('0', 256), now(), now(), '{guest}');
+
+create table account_deletions
+(
+    user_id             uuid                     not null
+        constraint account_deletions_pk
+            primary key
+        constraint account_deletions_users_id_fk
+            references users
+            on update cascade on delete cascade,
+    requested_at        timestamp with time zone not null,
+    scheduled_at        timestamp with time zone not null,
+    keep_public_tactons boolean default false    not null,
+    failed_attempts     integer default 0        not null,
+    last_failed_at      timestamp with time zone,
+    last_error          text
+);
+
+comment on table account_deletions is 'accounts the users want to delete, executed after the grace period';
+
+comment on column account_deletions.user_id is 'foreign key to the users table';
+
+comment on column account_deletions.scheduled_at is 'date when the account gets deleted, the user can cancel the deletion until then';
+
+comment on column account_deletions.keep_public_tactons is 'public tactons are moved to the former participant instead of being deleted';
+
+comment on column account_deletions.failed_attempts is 'failed executions, the deletion is tried again with every check';
+
+comment on column account_deletions.last_error is 'error of the last failed execution, for the admins';
+
 create table password_resets
 (
     number      serial                   not null
@@ -71,12 +141,167 @@ comment on column password_resets.used is 'log if it is used already';
 create unique index password_resets_number_uindex
     on password_resets (number);
 
+create table sessions
+(
+    id            uuid default gen_random_uuid() not null
+        constraint sessions_pk
+            primary key,
+    user_id       uuid                           not null
+        constraint sessions_users_id_fk
+            references users
+            on update cascade on delete cascade,
+    refresh_token text                           not null,
+    user_agent    text,
+    ip            text,
+    created_at    timestamp with time zone       not null,
+    last_used_at  timestamp with time zone       not null,
+    expires_at    timestamp with time zone       not null
+);
+
+comment on table sessions is 'logged in devices of the users, deleting a session revokes it';
+
+comment on column sessions.user_id is 'foreign key to the users table';
+
+comment on column sessions.refresh_token is 'hash of the current refresh token, it changes with every refresh';
+
+comment on column sessions.user_agent is 'user agent of the last refresh, to recognize the device';
+
+comment on column sessions.ip is 'ip address of the last refresh';
+
+comment on column sessions.expires_at is 'date where the session ends, refreshing does not extend it';
+
+create index sessions_user_id_index
+    on sessions (user_id);
+
+-- banned users are logged out on all devices, a new ban of an ended ban changes banned_at
+create or replace function revoke_banned_sessions() returns trigger
+    language plpgsql
+as
+$$
+BEGIN
+    DELETE FROM sessions WHERE user_id = NEW.id;
+    RETURN NEW;
+END;
+$$;
+
+create trigger users_revoke_banned_sessions
+    after update of banned, banned_at
+    on users
+    for each row
+    when (NEW.banned AND (NOT OLD.banned OR NEW.banned_at IS DISTINCT FROM OLD.banned_at))
+execute procedure revoke_banned_sessions();
+
+create table access_tokens
+(
+    id           uuid default gen_random_uuid() not null
+        constraint access_tokens_pk
+            primary key,
+    user_id      uuid                           not null
+        constraint access_tokens_users_id_fk
+            references users
+            on update cascade on delete cascade,
+    name         text                           not null,
+    token        text                           not null,
+    scopes       text[]                         not null
+        constraint access_tokens_scopes_check
+            check (scopes <@ array ['tactons:read', 'tactons:write', 'admin']),
+    created_at   timestamp with time zone       not null,
+    expires_at   timestamp with time zone       not null,
+    last_used_at timestamp with time zone,
+    constraint access_tokens_unique
+        unique (user_id, name)
+);
+
+comment on table access_tokens is 'personal access tokens of the users for scripts and tools';
+
+comment on column access_tokens.user_id is 'foreign key to the users table';
+
+comment on column access_tokens.name is 'name of the token, unique for every user';
+
+comment on column access_tokens.token is 'hash of the secret of the token';
+
+comment on column access_tokens.scopes is 'allowed actions: tactons:read, tactons:write, admin';
+
+comment on column access_tokens.last_used_at is 'date when the token was used the last time';
+
+create table recovery_codes
+(
+    id      serial                not null
+        constraint recovery_codes_pk
+            primary key,
+    user_id uuid                  not null
+        constraint recovery_codes_users_id_fk
+            references users
+            on update cascade on delete cascade,
+    code    text                  not null,
+    used    boolean default false not null
+);
+
+comment on table recovery_codes is 'one-time codes to login without the second factor';
+
+comment on column recovery_codes.user_id is 'foreign key to the users table';
+
+comment on column recovery_codes.code is 'hash of the recovery code';
+
+create table settings
+(
+    name  text  not null
+        constraint settings_pk
+            primary key,
+    value jsonb not null
+);
+
+comment on table settings is 'server settings which can be changed by admins';
+
+comment on column settings.value is 'json value, missing settings use the default of the server';
+
+create table audit_events
+(
+    id          bigserial                              not null
+        constraint audit_events_pk
+            primary key,
+    type        text                                   not null,
+    actor_id    uuid
+        constraint audit_events_users_id_fk
+            references users
+            on update cascade on delete set null,
+    target_type text,
+    target_id   text,
+    ip          text,
+    changes     jsonb,
+    details     jsonb,
+    created_at  timestamp with time zone default now() not null
+);
+
+comment on table audit_events is 'log of security-relevant and admin actions';
+
+comment on column audit_events.type is 'type of the event, for example tacton.delete (see src/audit/index.js)';
+
+comment on column audit_events.actor_id is 'user who did the action, null for anonymous requests or deleted users';
+
+comment on column audit_events.target_type is 'kind of the changed entry: user, team, tag, bodytag, layout, tacton or setting';
+
+comment on column audit_events.target_id is 'id of the changed entry';
+
+comment on column audit_events.changes is 'changed values as {"field": {"before": ..., "after": ...}}, secrets are redacted';
+
+comment on column audit_events.details is 'additional values of the event, for example the reason of a ban';
+
+create index audit_events_created_at_index
+    on audit_events (created_at);
+
+create index audit_events_target_index
+    on audit_events (target_type, target_id);
+
 create table email_updates
 (
     number            serial                   not null
         constraint email_updates_pk
             primary key,
-    user_id           uuid                     not null,
+    user_id           uuid                     not null
+        constraint email_updates_users_id_fk
+            references users
+            on update cascade on delete cascade,
     old_email         text,
     new_email         text                     not null,
     confirm_expiry_at timestamp with time zone not null,
@@ -125,16 +350,37 @@ create unique index tags_name_uindex
 
 create table motor_positions
 (
-    id serial    not null
+    id          serial    not null
         constraint motor_positions_pk
             primary key,
-    x  numeric[] not null,
-    y  numeric[] not null,
-    z  numeric[] not null,
-    constraint motor_positions_unique
-        unique (x, y, z)
+    x           numeric[] not null,
+    y           numeric[] not null,
+    z           numeric[] not null,
+    name        text,
+    description text,
+    device      text,
+    labels      text[],
+    owner_id    uuid
+        constraint motor_positions_users_id_fk
+            references users
+            on update cascade on delete set null
 );
 
+comment on column motor_positions.name is 'name of the layout, anonymous layouts have no name';
+
+comment on column motor_positions.description is 'optional description of the layout';
+
+comment on column motor_positions.device is 'the device or garment the layout describes, e.g. vest, sleeve or belt';
+
+comment on column motor_positions.labels is 'optional label for every motor, same order as x, y and z';
+
+comment on column motor_positions.owner_id is 'FK from table users, the user who created the named layout';
+
+-- anonymous layouts are deduplicated, named layouts can share the same positions
+create unique index motor_positions_unique
+    on motor_positions (x, y, z)
+    where name is null;
+
 create table tactons
 (
     id                 uuid                     default gen_random_uuid() not null
@@ -151,7 +397,20 @@ create table tactons
         constraint tactons_motor_positions_id_fk
             references motor_positions
             on update cascade on delete cascade,
-    last_update_at     timestamp with time zone default now()             not null
+    last_update_at     timestamp with time zone default now()             not null,
+    duration_ms        integer                  default 0                 not null,
+    channel_count      integer                  default 0                 not null,
+    instruction_count  integer                  default 0                 not null,
+    peak_amplitude     integer                  default 0                 not null,
+    mean_amplitude     numeric                  default 0                 not null,
+    parent_id          uuid
+        constraint tactons_tactons_id_fk
+            references tactons
+            on update cascade on delete set null,
+    visibility         text                     default 'public'          not null
+        constraint tactons_visibility_check
+            check (visibility in ('private', 'team', 'public')),
+    team_id            uuid
 );
 
 comment on column tactons.user_id is 'FK from table users';
@@ -164,12 +423,114 @@ comment on column tactons.libvtp is 'hex encoded buffer from the libvtp buffer';
 
 comment on column tactons.motor_positions_id is 'FK from table motor_positions';
 
+comment on column tactons.duration_ms is 'duration of the libvtp buffer in ms';
+
+comment on column tactons.channel_count is 'number of channels used by the libvtp buffer';
+
+comment on column tactons.instruction_count is 'number of instructions in the libvtp buffer';
+
+comment on column tactons.peak_amplitude is 'highest amplitude set in the libvtp buffer';
+
+comment on column tactons.mean_amplitude is 'mean of all amplitudes set in the libvtp buffer';
+
+comment on column tactons.parent_id is 'FK from table tactons, the tacton this one was forked from';
+
+comment on column tactons.visibility is 'who can see the tacton: private (only the owner), team (the team of the owner) or public';
+
+comment on column tactons.team_id is 'FK from table teams, the team owning the tacton (user_id is the creator then)';
+
 create unique index tactons_id_uindex
     on tactons (id);
 
 create unique index motor_positions_id_uindex
     on motor_positions (id);
 
+-- deleting a layout used by old revisions fails, no action (instead of restrict) allows to
+-- delete a layout together with its tactons, their revisions are removed in the same statement
+create table tacton_revisions
+(
+    id                 serial                                 not null
+        constraint tacton_revisions_pk
+            primary key,
+    tacton_id          uuid                                   not null
+        constraint tacton_revisions_tactons_id_fk
+            references tactons
+            on update cascade on delete cascade,
+    revision           integer                                not null,
+    author_id          uuid
+        constraint tacton_revisions_users_id_fk
+            references users
+            on update cascade on delete set null,
+    title              text                                   not null,
+    description        text,
+    libvtp             text                                   not null,
+    motor_positions_id integer                                not null
+        constraint tacton_revisions_motor_positions_id_fk
+            references motor_positions
+            on update cascade on delete no action,
+    created_at         timestamp with time zone default now() not null,
+    constraint tacton_revisions_unique
+        unique (tacton_id, revision)
+);
+
+comment on table tacton_revisions is 'immutable history of every saved state of a tacton';
+
+comment on column tacton_revisions.tacton_id is 'FK from table tactons';
+
+comment on column tacton_revisions.revision is 'revision number, counting up from 1 for every tacton';
+
+comment on column tacton_revisions.author_id is 'FK from table users, the user who saved this revision';
+
+comment on column tacton_revisions.motor_positions_id is 'FK from table motor_positions, layouts used by the history can not be deleted';
+
+-- revisions are immutable, only author_id can change (set to null when the author is deleted)
+create or replace function reject_revision_update() returns trigger
+    language plpgsql
+as
+$$
+BEGIN
+    IF NEW.tacton_id IS DISTINCT FROM OLD.tacton_id
+        OR NEW.revision IS DISTINCT FROM OLD.revision
+        OR NEW.title IS DISTINCT FROM OLD.title
+        OR NEW.description IS DISTINCT FROM OLD.description
+        OR NEW.libvtp IS DISTINCT FROM OLD.libvtp
+        OR NEW.motor_positions_id IS DISTINCT FROM OLD.motor_positions_id
+        OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+        RAISE EXCEPTION 'revisions can not be changed';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+create trigger tacton_revisions_no_update
+    before update
+    on tacton_revisions
+    for each row
+execute procedure reject_revision_update();
+
+-- revisions are numbered by the database, the lock of the tacton makes parallel updates wait for each other
+create or replace function number_tacton_revision() returns trigger
+    language plpgsql
+as
+$$
+BEGIN
+    IF NEW.revision IS NULL THEN
+        PERFORM 1 FROM tactons WHERE id = NEW.tacton_id FOR UPDATE;
+        SELECT COALESCE(MAX(revision), 0) + 1
+        INTO NEW.revision
+        FROM tacton_revisions
+        WHERE tacton_id = NEW.tacton_id;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+create trigger tacton_revisions_number
+    before insert
+    on tacton_revisions
+    for each row
+execute procedure number_tacton_revision();
+
 create table body_tags
 (
     id         serial not null
@@ -202,7 +563,13 @@ create table teams
 alter table users
     add constraint users_teams_id_fk
         foreign key (team_id) references teams
-            on update cascade on delete cascade;
+            on update cascade on delete set null;
+
+-- tactons of a deleted team go back to their creator
+alter table tactons
+    add constraint tactons_teams_id_fk
+        foreign key (team_id) references teams
+            on update cascade on delete set null;
 
 create unique index teams_id_uindex
     on teams (id);
@@ -210,6 +577,58 @@ create unique index teams_id_uindex
 create unique index teams_name_uindex
     on teams (name);
 
+create table team_invitations
+(
+    id         serial                                 not null
+        constraint team_invitations_pk
+            primary key,
+    team_id    uuid                                   not null
+        constraint team_invitations_teams_id_fk
+            references teams
+            on update cascade on delete cascade,
+    user_id    uuid                                   not null
+        constraint team_invitations_users_id_fk
+            references users
+            on update cascade on delete cascade,
+    type       text                                   not null
+        constraint team_invitations_type_check
+            check (type in ('invitation', 'request')),
+    creator_id uuid                                   not null
+        constraint team_invitations_creator_id_fk
+            references users
+            on update cascade on delete cascade,
+    created_at timestamp with time zone default now() not null,
+    constraint team_invitations_unique
+        unique (team_id, user_id)
+);
+
+comment on table team_invitations is 'open invitations of teams and join requests of users';
+
+comment on column team_invitations.user_id is 'FK from table users, the user who should join the team';
+
+comment on column team_invitations.type is 'invitation: the team invited the user, request: the user asked to join the team';
+
+comment on column team_invitations.creator_id is 'FK from table users, the user who created the invitation or request';
+
+-- team_id is cleared when a team is deleted, so the role needs to be cleared as well
+create or replace function clear_team_role() returns trigger
+    language plpgsql
+as
+$$
+BEGIN
+    IF NEW.team_id IS NULL THEN
+        NEW.team_role := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+create trigger users_clear_team_role
+    before update of team_id
+    on users
+    for each row
+execute procedure clear_team_role();
+
 create table tacton_tag_link
 (
     id        serial  not null
@@ -259,116 +678,71 @@ create unique index tacton_bodytag_link_id_uindex
     on tacton_bodytag_link (id);
 
 create or replace view gettactons
-            (id, title, description, libvtp, last_update_at, "user", motorpositions, tags, bodytags) as
+            (id, title, description, libvtp, last_update_at, duration_ms, channel_count, instruction_count,
+             peak_amplitude, mean_amplitude, visibility, user_id, team_id, motor_positions_id, fork_count,
+             "user", motorpositions, tags, bodytags, tag_names, bodytag_names, author_name, team_name, tag_text,
+             bodytag_text, owner_team_id, team) as
 SELECT t.id,
        t.title,
        t.description,
        t.libvtp,
        t.last_update_at,
-       json_build_object('name', u.name, 'id', t.id)                   AS "user",
-       json_build_object('id', mp.id, 'x', mp.x, 'y', mp.y, 'z', mp.z) AS motorpositions,
+       t.duration_ms,
+       t.channel_count,
+       t.instruction_count,
+       t.peak_amplitude,
+       t.mean_amplitude,
+       t.visibility,
+       t.user_id,
+       tm.id                                                           AS team_id,
+       t.motor_positions_id,
+       (SELECT count(*) FROM tactons forks WHERE forks.parent_id = t.id) AS fork_count,
+       json_build_object('name', u.name, 'id', u.id)                   AS "user",
+       json_build_object('id', mp.id, 'name', mp.name, 'x', mp.x, 'y', mp.y, 'z', mp.z,
+                         'labels', mp.labels)                          AS motorpositions,
        array_agg(json_build_object('name', tags.name, 'id', tags.id, 'creator_id',
                                    tags.creator_id))                   AS tags,
        array_agg(json_build_object('name', bodytags.name, 'id', bodytags.id, 'creator_id',
-                                   bodytags.creator_id))               AS bodytags
+                                   bodytags.creator_id))               AS bodytags,
+       array_remove(array_agg(DISTINCT tags.name), NULL)               AS tag_names,
+       array_remove(array_agg(DISTINCT bodytags.name), NULL)           AS bodytag_names,
+       u.name                                                          AS author_name,
+       tm.name                                                         AS team_name,
+       array_to_string(array_remove(array_agg(DISTINCT tags.name), NULL), ' ')     AS tag_text,
+       array_to_string(array_remove(array_agg(DISTINCT bodytags.name), NULL), ' ') AS bodytag_text,
+       t.team_id                                                       AS owner_team_id,
+       CASE
+           WHEN t.team_id IS NULL THEN NULL
+           ELSE json_build_object('id', tm.id, 'name', tm.name) END    AS team
 FROM tactons t
          LEFT JOIN tacton_tag_link tlink ON t.id = tlink.tacton_id
          LEFT JOIN tags ON tlink.tag_id = tags.id
          LEFT JOIN tacton_bodytag_link btlink ON t.id = btlink.tacton_id
          LEFT JOIN body_tags bodytags ON btlink.bodytag_id = bodytags.id
          JOIN users u ON t.user_id = u.id
+         -- team owning the tacton, otherwise the team of the creator
+         LEFT JOIN teams tm ON COALESCE(t.team_id, u.team_id) = tm.id
          JOIN motor_positions mp ON t.motor_positions_id = mp.id
-GROUP BY t.id, u.id, mp.id
-ORDER BY t.last_update_at DESC
-LIMIT 50;
-
-create or replace function "getTactonsById"(requestid text)
-    returns TABLE
-            (
-                id             uuid,
-                title          text,
-                description    text,
-                libvtp         text,
-                last_update_at timestamp with time zone,
-                userobject     json,
-                motorpositions json,
-                tags           json[],
-                bodytags       json[]
-            )
-    language plpgsql
-as
-$$
-BEGIN
-    return query execute '
-        select
-            t.id,
-            t.title,
-            t.description,
-            t.libvtp,
-            t.last_update_at,
-            json_build_object($1, u.name, $2, t.id) as userobject,
-            json_build_object($2, mp.id, $3, mp.x, $4, mp.y, $5, mp.z) as motorpositions,
-            array_agg(json_build_object($1, tags.name, $2, tags.id, $6, tags.creator_id)) as tags,
-            array_agg(json_build_object($1, bodyTags.name, $2, bodyTags.id, $6, bodyTags.creator_id)) as bodytags
-        from tactons t
-                 LEFT JOIN tacton_tag_link tlink on t.id = tlink.tacton_id
-                 LEFT JOIN tags on tlink.tag_id = tags.id
-                 LEFT JOIN tacton_bodytag_link btlink on t.id = btlink.tacton_id
-                 LEFT JOIN body_tags bodyTags on btlink.bodytag_id = bodyTags.id
-                 JOIN users u on t.user_id = u.id
-                 JOIN motor_positions mp on t.motor_positions_id = mp.id
-        where t.user_id=$7::uuid
-        group by t.id, u.id, mp.id
-        order by t.last_update_at desc
-        '
-        using 'name','id', 'x', 'y', 'z', 'creator_id', requestid;
-end
-$$;
+GROUP BY t.id, u.id, tm.id, mp.id;
+
+drop function if exists "searchTactons"(text);
 
 create or replace function "searchTactons"(term text)
-    returns TABLE
-            (
-                id             uuid,
-                title          text,
-                description    text,
-                libvtp         text,
-                last_update_at timestamp with time zone,
-                userobject     json,
-                motorpositions json,
-                tags           json[],
-                bodytags       json[]
-            )
-    language plpgsql
+    returns setof gettactons
+    language sql
+    stable
 as
 $$
-BEGIN
-    return query execute '
-        select
-            t.id,
-            t.title,
-            t.description,
-            t.libvtp,
-            t.last_update_at,
-            json_build_object($1, u.name, $2, t.id) as userobject,
-            json_build_object($2, mp.id, $3, mp.x, $4, mp.y, $5, mp.z) as motorpositions,
-            array_agg(json_build_object($1, tags.name, $2, tags.id, $6, tags.creator_id)) as tags,
-            array_agg(json_build_object($1, bodyTags.name, $2, bodyTags.id, $6, bodyTags.creator_id)) as bodytags
-        from tactons t
-            LEFT JOIN tacton_tag_link tlink on t.id = tlink.tacton_id
-            LEFT JOIN tags on tlink.tag_id = tags.id
-            LEFT JOIN tacton_bodytag_link btlink on t.id = btlink.tacton_id
-            LEFT JOIN body_tags bodyTags on btlink.bodytag_id = bodyTags.id
-            JOIN users u on t.user_id = u.id
-            JOIN motor_positions mp on t.motor_positions_id = mp.id
-        where
-            t.title iLIKE $7 OR
-            tags.name iLIKE $7 OR
-            bodyTags.name iLIKE $7
-        group by t.id, u.id, mp.id
-        order by t.last_update_at desc
-        LIMIT 50
-        '
-        using 'name','id', 'x', 'y', 'z', 'creator_id', format('%%%s%%', term);
-end
+SELECT g.*
+FROM gettactons g
+WHERE g.title ILIKE format('%%%s%%', term)
+   OR g.tag_text ILIKE format('%%%s%%', term)
+   OR g.bodytag_text ILIKE format('%%%s%%', term);
 $$;
 
+-- old revisions using another layout than their tacton, the layout can't be deleted while they exist
+create or replace view layout_history as
+SELECT r.id, r.motor_positions_id, r.tacton_id
+FROM tacton_revisions r
+         JOIN tactons t ON r.tacton_id = t.id
+WHERE r.motor_positions_id <> t.motor_positions_id;
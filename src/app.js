@@ -7,6 +7,9 @@ import loggerConfig from "./config/logger.js";
 import swaggerOptions from "./config/swagger.js";
 import { koaSwagger } from "koa2-swagger-ui";
 import setupRoutes from "./routes/index.js";
+import { startAccountDeletions } from "./auth/accountDeletion.js";
+import backfillTactonMetadata from "./helper/backfillTactonMetadata.js";
+import backfillTeamRoles from "./helper/backfillTeamRoles.js";
 
 // setup koa
 const app = new Koa();
@@ -29,6 +32,13 @@ app.use(
     origin:
       config.env === "development" ? `http://localhost:8080` : config.domain,
     credentials: true,
+    // pagination information of lists and the wait time of throttled requests
+    exposeHeaders: [
+      "X-Total-Count",
+      "X-Next-Cursor",
+      "X-Ranked-Count",
+      "Retry-After",
+    ],
   })
 );
 
@@ -41,3 +51,24 @@ app.use(koaSwagger(swaggerOptions));
 // start server
 app.listen(config.port);
 console.info(`Listening on port ${config.port}`);
+
+// execute the requested account deletions after their grace period
+startAccountDeletions();
+
+// older tactons have no metadata yet, it's calculated once from their libvtp
+backfillTactonMetadata()
+  .then((updated) => {
+    if (updated > 0) {
+      console.info(`Added the metadata of ${updated} tactons`);
+    }
+  })
+  .catch((e) => console.error("Could not add the metadata of the tactons", e));
+
+// members from before the team roles get their role, otherwise nobody can manage their team
+backfillTeamRoles()
+  .then((updated) => {
+    if (updated > 0) {
+      console.info(`Added the team role of ${updated} members`);
+    }
+  })
+  .catch((e) => console.error("Could not add the team roles", e));
@@ -0,0 +1,168 @@
+/**
+ * Audit log of security-relevant and admin actions (table audit_events).
+ * Every event has a type of auditEventTypes, the actor (the logged in user),
+ * the target, the IP address, the changed values and the time.
+ * A failed audit entry is logged, but doesn't fail the request, the action is already done.
+ */
+import dbServer from "../database/dbServer.js";
+import { quoteValue } from "../database/pagination.js";
+
+// event types with the type of their target
+export const auditEventTypes = {
+  "auth.login": "user",
+  "auth.login_failed": "user",
+  "auth.logout": "user",
+  "auth.sessions_revoked": "user",
+  "auth.password_reset_requested": "user",
+  "auth.password_reset": "user",
+  "auth.2fa_enabled": "user",
+  "auth.2fa_disabled": "user",
+  "auth.token_created": "user",
+  "auth.token_deleted": "user",
+  "user.register": "user",
+  "user.email_changed": "user",
+  "user.update": "user",
+  "user.password_changed": "user",
+  "user.data_exported": "user",
+  "user.deletion_requested": "user",
+  "user.deletion_cancelled": "user",
+  "user.deletion_failed": "user",
+  "user.delete": "user",
+  "admin.ban": "user",
+  "admin.unban": "user",
+  "admin.role_added": "user",
+  "admin.role_removed": "user",
+  "admin.password_reset": "user",
+  "admin.setting_changed": "setting",
+  "admin.lockouts_cleared": "setting",
+  "team.create": "team",
+  "team.update": "team",
+  "team.delete": "team",
+  "team.member_added": "team",
+  "team.member_removed": "team",
+  "team.member_left": "team",
+  "team.role_changed": "team",
+  "tag.create": "tag",
+  "tag.update": "tag",
+  "tag.delete": "tag",
+  "tag.merge": "tag",
+  "bodytag.create": "bodytag",
+  "bodytag.update": "bodytag",
+  "bodytag.delete": "bodytag",
+  "layout.create": "layout",
+  "layout.update": "layout",
+  "layout.delete": "layout",
+  "tacton.create": "tacton",
+  "tacton.update": "tacton",
+  "tacton.delete": "tacton",
+  "tacton.fork": "tacton",
+  "tacton.retarget": "tacton",
+  "tacton.restore": "tacton",
+};
+
+// values which are never written to the log
+const secretFields = [
+  "password",
+  "totp_secret",
+  "refresh_token",
+  "reset_token",
+  "token",
+];
+
+/**
+ * Saves an event, before and after are the entry before and after the action
+ * (null for created or deleted entries), only the changed values are saved.
+ * The actor is the logged in user, if there is none (for example the login) use actorId.
+ */
+export async function audit(ctx, type, options = {}) {
+  const targetType = auditEventTypes[type];
+  if (targetType == null) {
+    throw new Error(`Unknown audit event type ${type}`);
+  }
+
+  const {
+    targetId = null,
+    before = null,
+    after = null,
+    details = null,
+    actorId = ctx.state.user != null ? ctx.state.user.id : null,
+  } = options;
+
+  try {
+    await dbServer.post("/audit_events", {
+      type: type,
+      actor_id: actorId,
+      target_type: targetType,
+      target_id: targetId != null ? targetId.toString() : null,
+      ip: ctx.ip,
+      changes:
+        before != null || after != null ? getChanges(before, after) : null,
+      details: details,
+      created_at: new Date(),
+    });
+  } catch (e) {
+    console.error(`Could not save the audit event ${type}`, e);
+  }
+}
+
+/**
+ * Removes the personal data of a deleted user from the log.
+ * The events stay for the history, but without the changed values, the details and the IP addresses.
+ * Failed logins of unknown accounts keep the login as typed, so they are matched by the username and e-mail.
+ */
+export async function anonymizeAuditEvents(user) {
+  await dbServer.patch(
+    `/audit_events?and=(target_type.eq.user,target_id.eq.${user.id})`,
+    { changes: null, details: null, ip: null }
+  );
+  await dbServer.patch(`/audit_events?actor_id=eq.${user.id}`, { ip: null });
+
+  const logins = [user.username, user.email].map((login) =>
+    encodeURIComponent(quoteValue(login.toLowerCase()))
+  );
+  await dbServer.patch(`/audit_events?details->>login=in.(${logins.join()})`, {
+    details: null,
+    ip: null,
+  });
+}
+
+// changed values as { field: { before, after } }, secrets are redacted
+export function getChanges(before, after) {
+  const oldValues = before || {};
+  const newValues = after || {};
+  const changes = {};
+
+  const fields = new Set([
+    ...Object.keys(oldValues),
+    ...Object.keys(newValues),
+  ]);
+  fields.forEach((field) => {
+    const oldValue = oldValues[field] !== undefined ? oldValues[field] : null;
+    const newValue = newValues[field] !== undefined ? newValues[field] : null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return;
+    }
+
+    if (secretFields.includes(field)) {
+      changes[field] = { before: "[redacted]", after: "[redacted]" };
+    } else {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  });
+
+  return changes;
+}
+
+// only the values of the fields, for entries with big or secret values
+export function pick(entry, fields) {
+  if (entry == null) {
+    return null;
+  }
+  const picked = {};
+  fields.forEach((field) => {
+    if (entry[field] !== undefined) {
+      picked[field] = entry[field];
+    }
+  });
+  return picked;
+}
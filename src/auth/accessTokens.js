@@ -0,0 +1,69 @@
+/**
+ * Personal access tokens for scripts, tools and CI jobs.
+ * They are sent with "Authorization: Bearer tjp_..." and only work for routes with one of their scopes,
+ * admin routes need the admin scope.
+ * Only the hash of the secret is saved, like the password reset tokens.
+ */
+import validator from "validator";
+import { v4 as uuidv4 } from "uuid";
+import dbServer from "../database/dbServer.js";
+import { compareHash, generateHash } from "./password.js";
+
+export const accessTokenScopes = ["tactons:read", "tactons:write", "admin"];
+
+// the prefix tells personal access tokens and jwts apart
+const tokenPrefix = "tjp_";
+
+export function isAccessToken(token) {
+  return token.startsWith(tokenPrefix);
+}
+
+// saves a new token and returns it together with the secret token string
+export async function createAccessToken(userId, name, scopes, expiresAt) {
+  const secret = uuidv4();
+  const hash = await generateHash(secret);
+
+  const response = await dbServer.post("/access_tokens", {
+    user_id: userId,
+    name: name,
+    token: hash.toString("hex"),
+    scopes: scopes,
+    created_at: new Date(),
+    expires_at: expiresAt,
+  });
+  const accessToken = response.data[0];
+
+  return {
+    accessToken: accessToken,
+    token: `${tokenPrefix}${accessToken.id}.${secret}`,
+  };
+}
+
+// returns the saved token or null if the token is invalid or expired
+export async function verifyAccessToken(token) {
+  const [id, secret] = token.substring(tokenPrefix.length).split(".");
+  if (id == null || secret == null || !validator.isUUID(id)) {
+    return null;
+  }
+
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/access_tokens?and=(id.eq.${id},expires_at.gt."${currentDate}")`
+  );
+  if (response.data.length !== 1) {
+    return null;
+  }
+  const accessToken = response.data[0];
+
+  const validToken = await compareHash(secret, accessToken.token);
+  if (!validToken.valid) {
+    return null;
+  }
+
+  // track the usage
+  await dbServer.patch(`/access_tokens?id=eq.${accessToken.id}`, {
+    last_used_at: new Date(),
+  });
+
+  return accessToken;
+}
@@ -0,0 +1,180 @@
+/**
+ * Self-service deletion of accounts (table account_deletions).
+ * A requested deletion is executed after the grace period (config accountDeletion.gracePeriod),
+ * until then the user can cancel it. Public tactons can be kept, they are moved to the
+ * former participant (a user without login), so the forks of other users keep their parent.
+ */
+import config from "../config/index.js";
+import dbServer from "../database/dbServer.js";
+import { anonymizeAuditEvents, audit, pick } from "../audit/index.js";
+import { sendAccountDeletionFailed } from "../mail/index.js";
+
+// owner of the kept tactons, tags and body tags of deleted accounts, created by the schema
+export const formerParticipantId = "00000000-0000-0000-0000-000000000000";
+
+// checks for due deletions every hour
+const checkInterval = 60 * 60 * 1000;
+// the user is told once after this many failed executions, the admins see every failure in the audit log
+const maxFailedAttempts = 3;
+// the deletions run without a request, so there is no user or IP address for the audit log
+const jobContext = { state: {}, ip: null };
+
+// only the names are kept in the log of the deletion, the older events of the user are anonymized
+export const deletionAuditFields = ["username", "name", "team_id", "team_role"];
+
+export async function getAccountDeletion(userId) {
+  const response = await dbServer.get(
+    `/account_deletions?user_id=eq.${userId}`
+  );
+  return response.data.length > 0 ? response.data[0] : null;
+}
+
+// a new request replaces the old one, with the choice and the date of the new one
+export async function scheduleAccountDeletion(userId, keepPublicTactons) {
+  const requestedAt = new Date();
+  const scheduledAt = new Date(
+    requestedAt.getTime() + config.accountDeletion.gracePeriod * 86400000
+  );
+
+  await dbServer.delete(`/account_deletions?user_id=eq.${userId}`);
+  const response = await dbServer.post("/account_deletions", {
+    user_id: userId,
+    requested_at: requestedAt,
+    scheduled_at: scheduledAt,
+    keep_public_tactons: keepPublicTactons,
+  });
+  return response.data[0];
+}
+
+// returns the cancelled deletion, null if none was scheduled
+export async function cancelAccountDeletion(userId) {
+  const response = await dbServer.delete(
+    `/account_deletions?user_id=eq.${userId}`,
+    { headers: { Prefer: "return=representation" } }
+  );
+  return response.data.length > 0 ? response.data[0] : null;
+}
+
+/**
+ * Deletes the user, the remaining entries are removed by the foreign keys.
+ * The e-mail history is deleted explicitly, older databases have no foreign key for it.
+ * The audit events keep no personal data of the user (see anonymizeAuditEvents).
+ * Tags and body tags are used by the tactons of other users, they are always kept.
+ * The team of an owner goes to another member, a team without members is deleted.
+ * Returns the deleted user, null if there was none.
+ */
+export async function deleteAccount(userId, keepPublicTactons = false) {
+  const response = await dbServer.get(`/users?id=eq.${userId}`);
+  if (response.data.length !== 1 || userId === formerParticipantId) {
+    return null;
+  }
+  const user = response.data[0];
+
+  if (user.team_id != null && user.team_role === "owner") {
+    await handOverTeam(user);
+  }
+
+  if (keepPublicTactons) {
+    await dbServer.patch(`/tactons?user_id=eq.${userId}&visibility=eq.public`, {
+      user_id: formerParticipantId,
+    });
+  }
+  await dbServer.patch(`/tags?creator_id=eq.${userId}`, {
+    creator_id: formerParticipantId,
+  });
+  await dbServer.patch(`/body_tags?creator_id=eq.${userId}`, {
+    creator_id: formerParticipantId,
+  });
+  await dbServer.patch(`/teams?creator_id=eq.${userId}`, {
+    creator_id: formerParticipantId,
+  });
+
+  await dbServer.delete(`/email_updates?user_id=eq.${userId}`);
+  await anonymizeAuditEvents(user);
+  const deleteResponse = await dbServer.delete(`/users?id=eq.${userId}`, {
+    headers: { Prefer: "return=representation" },
+  });
+  return deleteResponse.data.length > 0 ? deleteResponse.data[0] : null;
+}
+
+// executes the deletions after their grace period, a failed deletion is tried again with the next check
+export async function processAccountDeletions() {
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/account_deletions?scheduled_at=lte."${currentDate}"&order=scheduled_at.asc`
+  );
+
+  for (const deletion of response.data) {
+    try {
+      const user = await deleteAccount(
+        deletion.user_id,
+        deletion.keep_public_tactons
+      );
+      if (user != null) {
+        // there is no request, the deleted user can't be the actor anymore
+        await audit(jobContext, "user.delete", {
+          targetId: deletion.user_id,
+          before: pick(user, deletionAuditFields),
+          actorId: null,
+          details: {
+            requestedAt: deletion.requested_at,
+            keepPublicTactons: deletion.keep_public_tactons,
+          },
+        });
+      }
+    } catch (e) {
+      console.error(`Could not delete the account ${deletion.user_id}`, e);
+      await registerFailedDeletion(deletion, e);
+    }
+  }
+}
+
+export function startAccountDeletions() {
+  const run = () =>
+    processAccountDeletions().catch((e) =>
+      console.error("Could not check the account deletions", e)
+    );
+  run();
+  return setInterval(run, checkInterval);
+}
+
+// ---- helper functions ----
+// maintainers are preferred as new owner (the roles are sorted alphabetically)
+async function handOverTeam(user) {
+  const response = await dbServer.get(
+    `/users?team_id=eq.${user.team_id}&id=neq.${user.id}&order=team_role.asc&limit=1`
+  );
+  if (response.data.length === 0) {
+    await dbServer.delete(`/teams?id=eq.${user.team_id}`);
+    return;
+  }
+  await dbServer.patch(`/users?id=eq.${response.data[0].id}`, {
+    team_role: "owner",
+  });
+}
+
+async function registerFailedDeletion(deletion, error) {
+  const failedAttempts = deletion.failed_attempts + 1;
+  await dbServer.patch(`/account_deletions?user_id=eq.${deletion.user_id}`, {
+    failed_attempts: failedAttempts,
+    last_failed_at: new Date(),
+    last_error: error.message,
+  });
+  await audit(jobContext, "user.deletion_failed", {
+    targetId: deletion.user_id,
+    actorId: null,
+    details: { failedAttempts: failedAttempts, error: error.message },
+  });
+
+  if (failedAttempts === maxFailedAttempts) {
+    const response = await dbServer.get(
+      `/users?id=eq.${deletion.user_id}&select=email,name`
+    );
+    if (response.data.length === 1) {
+      await sendAccountDeletionFailed(
+        response.data[0].email,
+        response.data[0].name
+      );
+    }
+  }
+}
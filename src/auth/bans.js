@@ -0,0 +1,51 @@
+/**
+ * Bans of users. A ban can be permanent or end at banned_until,
+ * an ended ban doesn't need to be lifted, the user can login again.
+ * Banning a user ends the sessions (trigger users_revoke_banned_sessions).
+ */
+import dbServer from "../database/dbServer.js";
+
+export function isBanned(user) {
+  return (
+    user.banned &&
+    (user.banned_until == null || new Date(user.banned_until) > new Date())
+  );
+}
+
+// message for the banned user, with the end of the ban
+export function getBanMessage(user) {
+  if (user.banned_until == null) {
+    return "Account suspended";
+  }
+  return `Account suspended until ${new Date(user.banned_until).toISOString()}`;
+}
+
+export async function banUser(userId, bannedBy, reason, until = null) {
+  const response = await dbServer.patch(
+    `/users?id=eq.${userId}`,
+    {
+      banned: true,
+      banned_at: new Date().toUTCString(),
+      banned_until: until != null ? until.toUTCString() : null,
+      ban_reason: reason,
+      banned_by: bannedBy,
+    },
+    { headers: { Prefer: "return=representation" } }
+  );
+  return response.data[0];
+}
+
+export async function unbanUser(userId) {
+  const response = await dbServer.patch(
+    `/users?id=eq.${userId}`,
+    {
+      banned: false,
+      banned_at: null,
+      banned_until: null,
+      ban_reason: null,
+      banned_by: null,
+    },
+    { headers: { Prefer: "return=representation" } }
+  );
+  return response.data[0];
+}
@@ -1,8 +1,19 @@
+// lifetime of the jwt (access token), renew it with the refresh token of the session
 export function getExpiresIn() {
-  // sec * mins * hours * days * years -> 1day
-  return 60 * 60 * 24;
+  // sec * mins -> 15 minutes
+  return 60 * 15;
 }
 
 export function getExpirationDate() {
   return Date.now() + getExpiresIn() * 1000;
 }
+
+// lifetime of a session, after this the user needs to login again
+export function getSessionExpiresIn() {
+  // sec * mins * hours * days -> 30 days
+  return 60 * 60 * 24 * 30;
+}
+
+export function getSessionExpirationDate() {
+  return Date.now() + getSessionExpiresIn() * 1000;
+}
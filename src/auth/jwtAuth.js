@@ -0,0 +1,46 @@
+import koaJwt from "koa-jwt";
+import { isAccessToken, verifyAccessToken } from "./accessTokens.js";
+
+/**
+ * Authentication middleware, accepts the same options as koa-jwt.
+ * The jwt is read from the cookie or the "Authorization: Bearer" header (koa-jwt),
+ * personal access tokens are read from the "Authorization: Bearer" header.
+ * For personal access tokens the state contains the user id, the token id and the scopes.
+ */
+export default (opts = {}) => {
+  const { key = "user", passthrough = false } = opts;
+  const jwtMiddleware = koaJwt(opts);
+
+  return async function (ctx, next) {
+    const bearerToken = getBearerToken(ctx);
+    if (bearerToken == null || !isAccessToken(bearerToken)) {
+      return jwtMiddleware(ctx, next);
+    }
+
+    const accessToken = await verifyAccessToken(bearerToken);
+    if (accessToken == null) {
+      // like koa-jwt, invalid tokens are anonymous requests with passthrough
+      if (!passthrough) {
+        ctx.throw(401, "Authentication Error");
+      }
+      return next();
+    }
+
+    ctx.state[key] = {
+      id: accessToken.user_id,
+      tokenId: accessToken.id,
+      scopes: accessToken.scopes,
+    };
+    return next();
+  };
+};
+
+// ---- helper functions ----
+function getBearerToken(ctx) {
+  const authorization = ctx.get("Authorization");
+  const parts = authorization.split(" ");
+  if (parts.length !== 2 || !/^Bearer$/i.test(parts[0])) {
+    return null;
+  }
+  return parts[1];
+}
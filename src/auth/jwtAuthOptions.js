@@ -6,4 +6,10 @@ const jwtAuthOptions = {
   issuer: config.domain,
 };
 
+// for endpoints which can be used with and without login
+export const optionalJwtAuthOptions = {
+  ...jwtAuthOptions,
+  passthrough: true,
+};
+
 export default jwtAuthOptions;
@@ -0,0 +1,189 @@
+/**
+ * Password policy for new passwords: a minimum length, a strength estimate
+ * and a local list of breached passwords (config passwordPolicy).
+ * The strength is a score from 0 (very weak) to 4 (strong), estimated from the length
+ * and the character classes, after removing repeats, sequences and the user's own data.
+ */
+import { promises as fs } from "fs";
+import config from "../config/index.js";
+
+// alphabet, digits and keyboard rows for the sequence detection
+const sequences = [
+  "abcdefghijklmnopqrstuvwxyz",
+  "0123456789",
+  "qwertyuiop",
+  "asdfghjkl",
+  "zxcvbnm",
+];
+
+// minimum entropy in bits for the scores 1 to 4
+const scoreBits = [28, 36, 60, 80];
+
+let breachList = null;
+
+// checks a new password, userInputs are values like the username, name and e-mail
+export async function validatePassword(password, userInputs = []) {
+  const policy = config.passwordPolicy;
+  if (typeof password !== "string") {
+    return { valid: false, msg: "Password missing", feedback: [] };
+  }
+
+  const feedback = [];
+  if (password.length < policy.minLength) {
+    feedback.push(`too short (min ${policy.minLength} characters)`);
+  }
+  if (password.length > policy.maxLength) {
+    feedback.push(`too long (max ${policy.maxLength} characters)`);
+  }
+  if (await isBreached(password)) {
+    feedback.push("found in a list of breached passwords");
+  }
+
+  const strength = estimateStrength(password, userInputs);
+  if (strength.score < policy.minStrength) {
+    feedback.push(
+      `too weak (strength ${strength.score} of 4, min ${policy.minStrength})`,
+      ...strength.feedback
+    );
+  }
+
+  if (feedback.length > 0) {
+    return {
+      valid: false,
+      msg: `Password rejected: ${feedback.join(", ")}`,
+      feedback: feedback,
+    };
+  }
+  return { valid: true, score: strength.score };
+}
+
+export function estimateStrength(password, userInputs = []) {
+  const feedback = [];
+  let remaining = password.toLowerCase();
+
+  // the own username, name or e-mail is easy to guess
+  const inputs = getInputParts(userInputs);
+  for (const input of inputs) {
+    if (remaining.includes(input)) {
+      remaining = remaining.split(input).join("");
+      if (!feedback.includes("contains your username, name or e-mail")) {
+        feedback.push("contains your username, name or e-mail");
+      }
+    }
+  }
+
+  const collapsed = collapsePatterns(remaining);
+  if (collapsed.repeats) {
+    feedback.push("avoid repeated characters like aaa");
+  }
+  if (collapsed.sequences) {
+    feedback.push("avoid sequences like abc, 123 or qwerty");
+  }
+
+  const poolSize = getPoolSize(password);
+  if (poolSize <= 26) {
+    feedback.push("use upper case letters, digits or symbols");
+  }
+
+  const bits = collapsed.length * Math.log2(poolSize);
+  const score = scoreBits.filter((x) => bits >= x).length;
+
+  return { score: score, feedback: feedback };
+}
+
+// ---- helper functions ----
+async function isBreached(password) {
+  if (breachList == null) {
+    breachList = await loadBreachList(config.passwordPolicy.breachList);
+  }
+  return breachList.has(password.toLowerCase());
+}
+
+async function loadBreachList(file) {
+  try {
+    const content = await fs.readFile(file, "utf8");
+    const passwords = content
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line.length > 0 && !line.startsWith("#"));
+    return new Set(passwords);
+  } catch (e) {
+    console.error(`Could not load the breached password list ${file}`, e);
+    return new Set();
+  }
+}
+
+function getInputParts(userInputs) {
+  const parts = [];
+  userInputs
+    .filter((input) => typeof input === "string")
+    .forEach((input) => {
+      // e-mails and names are split into their parts
+      input
+        .toLowerCase()
+        .split(/[@\s.\-_]+/)
+        .filter((part) => part.length >= 3)
+        .forEach((part) => parts.push(part));
+    });
+  // longest first, so parts of other inputs don't break them
+  return parts.sort((a, b) => b.length - a.length);
+}
+
+// collapses repeats and sequences of 3 or more characters into one character
+function collapsePatterns(text) {
+  let length = 0;
+  let repeats = false;
+  let sequenceFound = false;
+
+  let i = 0;
+  while (i < text.length) {
+    let end = i + 1;
+    while (end < text.length && text[end] === text[i]) {
+      end++;
+    }
+    if (end - i >= 3) {
+      repeats = true;
+    } else {
+      end = i + 1;
+      while (end < text.length && isSequenceStep(text[end - 1], text[end])) {
+        end++;
+      }
+      if (end - i >= 3) {
+        sequenceFound = true;
+      } else {
+        end = i + 1;
+      }
+    }
+    length++;
+    i = end;
+  }
+
+  return { length: length, repeats: repeats, sequences: sequenceFound };
+}
+
+function isSequenceStep(a, b) {
+  return sequences.some((sequence) => {
+    const index = sequence.indexOf(a);
+    return (
+      index !== -1 && (sequence[index + 1] === b || sequence[index - 1] === b)
+    );
+  });
+}
+
+function getPoolSize(password) {
+  let poolSize = 0;
+  if (/[a-z]/.test(password)) {
+    poolSize += 26;
+  }
+  if (/[A-Z]/.test(password)) {
+    poolSize += 26;
+  }
+  if (/[0-9]/.test(password)) {
+    poolSize += 10;
+  }
+  if (/[^a-zA-Z0-9]/.test(password)) {
+    poolSize += 33;
+  }
+  // at least the digits, so the entropy can't be zero
+  return Math.max(poolSize, 10);
+}
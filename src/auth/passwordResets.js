@@ -0,0 +1,59 @@
+/**
+ * Password resets with a token via mail (table password_resets).
+ * Users request them with /auth/forgot, admins can force them:
+ * a forced reset logs the user out and blocks the login until the new password is set.
+ */
+import { v4 as uuidv4 } from "uuid";
+import dbServer from "../database/dbServer.js";
+import getTomorrow from "../helper/getTomorrow.js";
+import { sendPasswordReset } from "../mail/index.js";
+import { generateHash } from "./password.js";
+import { revokeSessions } from "./sessions.js";
+
+// saves a new reset and sends the token to the user, returns false if the mail could not be sent
+export async function createPasswordReset(user, forced = false) {
+  const passwordUuid = uuidv4();
+  const passwordUuidHash = await generateHash(passwordUuid);
+  const passwordUuidHashString = passwordUuidHash.toString("hex");
+
+  // save it in database
+  const resetResponse = await dbServer.post("/password_resets", {
+    user_id: user.id,
+    reset_token: passwordUuidHashString,
+    expiry_at: getTomorrow(),
+  });
+
+  // send mail for Password reset
+  const sent = await sendPasswordReset(
+    user.email,
+    user.name,
+    passwordUuid,
+    forced
+  );
+  if (!sent) {
+    // remove the reset again, otherwise the user has to wait until it expires
+    await dbServer.delete(
+      `/password_resets?number=eq.${resetResponse.data[0].number}`
+    );
+  }
+  return sent;
+}
+
+// returns false if the mail could not be sent, the user is not changed then
+export async function forcePasswordReset(user) {
+  // older links get invalid, only the link of the new mail works
+  await dbServer.patch(
+    `/password_resets?and=(user_id.eq.${user.id},used.is.false)`,
+    { used: true }
+  );
+  // without the mail the user could not login anymore
+  if (!(await createPasswordReset(user, true))) {
+    return false;
+  }
+
+  await dbServer.patch(`/users?id=eq.${user.id}`, {
+    password_reset_required: true,
+  });
+  await revokeSessions(user.id);
+  return true;
+}
@@ -1,13 +1,44 @@
 import dbServer from "../database/dbServer.js";
+import { isBanned } from "./bans.js";
+import { isActiveSession } from "./sessions.js";
+import { hasAdminPermissions } from "./twoFactor.js";
+import {
+  baseRoles,
+  getPermissions,
+  getUserRoles,
+  isBasePermission,
+} from "./roles.js";
 
 /**
  * This middleware is for checking if the user is logged in.
  * Later this can be easily adjusted to check for permissions.
+ * Routes can need a permission of the roles of the user (option can, see roles.js).
+ * Personal access tokens only work if the route has a scope (option scope),
+ * admin routes and routes with special permissions need the admin scope.
  */
 export default (opts = {}) => {
-  const { debug, admin = false, key = "user", password = false } = opts;
+  const {
+    debug,
+    admin = false,
+    key = "user",
+    password = false,
+    optional = false,
+    scope = null,
+    can = null,
+  } = opts;
+
+  // the scope a personal access token needs for the route
+  let neededScope = scope;
+  if (admin || (can != null && scope == null && !isBasePermission(can))) {
+    neededScope = "admin";
+  }
 
   return async function (ctx, next) {
+    // anonymous requests are allowed if the login is optional
+    if (optional && ctx.state[key] == null) {
+      return next();
+    }
+
     try {
       // check first if we have the user in our context, if not there the user is not logged in
       if (ctx.state[key] == null) {
@@ -27,24 +58,68 @@ export default (opts = {}) => {
       const user = response.data[0];
 
       // check if the account / user is banned
-      if (user.banned) {
+      if (isBanned(user)) {
         ctx.throw(401, "User is banned");
       }
 
+      // personal access tokens stop working after a forced password reset as well
+      if (user.password_reset_required) {
+        ctx.throw(401, "Password reset required");
+      }
+
+      // personal access tokens need the scope of the route
+      const scopes = ctx.state[key].scopes || null;
+      if (ctx.state[key].tokenId != null) {
+        if (neededScope == null || !scopes.includes(neededScope)) {
+          ctx.throw(401, "Insufficient scope");
+        }
+      } else if (!(await isActiveSession(user.id, ctx.state[key].sid))) {
+        // the session of the jwt was revoked or expired
+        ctx.throw(401, "Session revoked");
+      }
+
+      // admins could need two-factor authentication and
+      // without the admin scope a personal access token has no admin permissions
+      const isAdmin =
+        (await hasAdminPermissions(user)) &&
+        (scopes == null || scopes.includes("admin"));
+
       // check if admin permission is needed
-      if (!user.admin) {
+      if (!isAdmin) {
         // user is not an admin, check if we need the permission level
         if (admin) {
           ctx.throw(401, "Insufficient permissions");
         }
       }
 
+      // the roles without the admin role if the admin permissions are missing,
+      // personal access tokens without the admin scope only have the base roles
+      let roles = getUserRoles(user).filter(
+        (role) => role !== "admin" || isAdmin
+      );
+      if (scopes != null && !scopes.includes("admin")) {
+        roles = roles.filter((role) => baseRoles.includes(role));
+      }
+      const permissions = getPermissions(roles);
+
+      // check if the permission is needed
+      if (can != null && !permissions.includes(can)) {
+        ctx.throw(401, "Insufficient permissions");
+      }
+
       // create object for the ctx to work with
       ctx.state[key] = {
         id: user.id,
         username: user.username,
         name: user.name,
-        admin: user.admin,
+        admin: isAdmin,
+        roles: roles,
+        permissions: permissions,
+        teamId: user.team_id,
+        teamRole: user.team_role,
+        sessionId: ctx.state[key].sid,
+        tokenId: ctx.state[key].tokenId,
+        scopes: scopes,
       };
 
       // add password hash if needed (for example updating)
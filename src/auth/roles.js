@@ -0,0 +1,102 @@
+/**
+ * Roles and their permissions.
+ * Users can have several roles (column roles), the admin role is the admin flag of the user.
+ * Routes declare the needed permission with permission({ can: "tags:merge" }),
+ * inside of routes use can(ctx.state.user, "tags:merge").
+ */
+export const roles = ["admin", "moderator", "facilitator", "member", "guest"];
+
+// roles without special permissions, personal access tokens without the admin scope only get these
+export const baseRoles = ["member", "guest"];
+
+export const permissions = [
+  // upload, fork and retarget tactons
+  "tactons:create",
+  // edit and delete the tactons of other users
+  "tactons:edit:any",
+  "tactons:delete:any",
+  // see every tacton, including private ones
+  "tactons:view:any",
+  // create tags and body tags
+  "tags:create",
+  // edit and delete the tags and body tags of other users
+  "tags:manage",
+  "bodytags:manage",
+  "tags:merge",
+  "layouts:create",
+  // edit and delete the motor layouts of other users and anonymous layouts
+  "layouts:manage",
+  "teams:create",
+  // manage every team like an owner
+  "teams:manage",
+  "users:view",
+  "users:edit",
+  "users:delete",
+  "users:ban",
+  // assign roles
+  "users:roles",
+  // server settings like the two-factor policy and the lockouts
+  "settings:manage",
+  // read the audit log
+  "audit:view",
+];
+
+const memberPermissions = [
+  "tactons:create",
+  "tags:create",
+  "layouts:create",
+  "teams:create",
+];
+
+const rolePermissions = {
+  admin: permissions,
+  moderator: [
+    ...memberPermissions,
+    "tactons:edit:any",
+    "tactons:delete:any",
+    "tags:manage",
+    "bodytags:manage",
+    "tags:merge",
+    "users:view",
+    "users:ban",
+  ],
+  facilitator: [
+    ...memberPermissions,
+    "tags:manage",
+    "bodytags:manage",
+    "layouts:manage",
+  ],
+  member: memberPermissions,
+  guest: [],
+};
+
+// roles of a user from the database, with the admin flag as admin role
+export function getUserRoles(user) {
+  const userRoles = user.roles != null ? [...user.roles] : ["member"];
+  if (user.admin) {
+    userRoles.unshift("admin");
+  }
+  return userRoles;
+}
+
+export function getPermissions(userRoles) {
+  const userPermissions = new Set();
+  userRoles.forEach((role) => {
+    (rolePermissions[role] || []).forEach((x) => userPermissions.add(x));
+  });
+  return [...userPermissions];
+}
+
+// checks the permission of the user object of the permission middleware
+export function can(user, permission) {
+  return (
+    user != null &&
+    user.permissions != null &&
+    user.permissions.includes(permission)
+  );
+}
+
+// permissions which only base roles have, personal access tokens need no admin scope for them
+export function isBasePermission(permission) {
+  return baseRoles.some((role) => rolePermissions[role].includes(permission));
+}
@@ -0,0 +1,180 @@
+/**
+ * Sessions of the users, one for every logged in device.
+ * The jwt (cookie "jwt") is short-lived and contains the id of the session,
+ * the refresh token (cookie "refresh") renews it and changes with every refresh.
+ * Deleting the session from the database revokes it.
+ */
+import jwt from "jsonwebtoken";
+import validator from "validator";
+import { v4 as uuidv4 } from "uuid";
+import dbServer from "../database/dbServer.js";
+import { compareHash, generateHash } from "./password.js";
+import { getJwtOptions } from "./jwtOptions.js";
+import { getCookeOptions } from "./cookieOptions.js";
+import { getSessionExpirationDate } from "./expiration.js";
+
+// the refresh cookie is only needed for the auth routes
+const refreshCookiePath = "/auth";
+
+export async function createSession(ctx, userId) {
+  const secret = uuidv4();
+  const hash = await generateHash(secret);
+  const currentDate = new Date();
+
+  const response = await dbServer.post("/sessions", {
+    user_id: userId,
+    refresh_token: hash.toString("hex"),
+    user_agent: getUserAgent(ctx),
+    ip: ctx.ip,
+    created_at: currentDate,
+    last_used_at: currentDate,
+    expires_at: new Date(getSessionExpirationDate()),
+  });
+  const session = response.data[0];
+
+  setSessionCookies(ctx, session, secret);
+  return session;
+}
+
+// rotates the refresh token of the session, returns null if the token is invalid
+export async function refreshSession(ctx) {
+  const refreshToken = getRefreshToken(ctx);
+  if (refreshToken == null) {
+    return null;
+  }
+
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/sessions?and=(id.eq.${refreshToken.id},expires_at.gt."${currentDate}")`
+  );
+  if (response.data.length !== 1) {
+    return null;
+  }
+  const session = response.data[0];
+
+  const validToken = await compareHash(
+    refreshToken.secret,
+    session.refresh_token
+  );
+  if (!validToken.valid) {
+    // an old refresh token was used again, it could be stolen
+    await dbServer.delete(`/sessions?id=eq.${session.id}`);
+    return null;
+  }
+
+  // only update if nobody else rotated the token in the meantime
+  const secret = uuidv4();
+  const hash = await generateHash(secret);
+  const updateResponse = await dbServer.patch(
+    `/sessions?and=(id.eq.${session.id},refresh_token.eq.${session.refresh_token})`,
+    {
+      refresh_token: hash.toString("hex"),
+      user_agent: getUserAgent(ctx),
+      ip: ctx.ip,
+      last_used_at: new Date(),
+    }
+  );
+  if (updateResponse.data.length !== 1) {
+    return null;
+  }
+  const updatedSession = updateResponse.data[0];
+
+  setSessionCookies(ctx, updatedSession, secret);
+  return updatedSession;
+}
+
+// revokes the session of the request, works with the jwt or the refresh token
+export async function endSession(ctx) {
+  let sessionId = ctx.state.user != null ? ctx.state.user.sid : null;
+  if (sessionId == null) {
+    const refreshToken = getRefreshToken(ctx);
+    sessionId = refreshToken != null ? refreshToken.id : null;
+  }
+
+  if (sessionId != null) {
+    await dbServer.delete(`/sessions?id=eq.${sessionId}`);
+  }
+  clearSessionCookies(ctx);
+}
+
+export async function isActiveSession(userId, sessionId) {
+  if (sessionId == null || !validator.isUUID(sessionId)) {
+    return false;
+  }
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/sessions?select=id&and=(id.eq.${sessionId},user_id.eq.${userId},expires_at.gt."${currentDate}")`
+  );
+  return response.data.length === 1;
+}
+
+export async function getSessions(userId) {
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/sessions?select=id,user_agent,ip,created_at,last_used_at,expires_at&and=(user_id.eq.${userId},expires_at.gt."${currentDate}")&order=last_used_at.desc`
+  );
+  return response.data;
+}
+
+// revokes one session of the user, returns false if there is no such session
+export async function revokeSession(userId, sessionId) {
+  const response = await dbServer.delete(
+    `/sessions?and=(id.eq.${sessionId},user_id.eq.${userId})`,
+    { headers: { Prefer: "return=representation" } }
+  );
+  return response.data.length > 0;
+}
+
+// revokes all sessions of the user, except the optional one
+export async function revokeSessions(userId, exceptSessionId = null) {
+  let queryString = `/sessions?user_id=eq.${userId}`;
+  if (exceptSessionId != null) {
+    queryString += `&id=neq.${exceptSessionId}`;
+  }
+  await dbServer.delete(queryString);
+}
+
+export function clearSessionCookies(ctx) {
+  ctx.cookies.set("jwt", {}, { expires: new Date() });
+  ctx.cookies.set("user", {}, { expires: new Date() });
+  ctx.cookies.set(
+    "refresh",
+    {},
+    { expires: new Date(), path: refreshCookiePath }
+  );
+}
+
+// ---- helper functions ----
+function setSessionCookies(ctx, session, secret) {
+  // the claims of the jwt: user and session
+  const claims = {
+    id: session.user_id,
+    sid: session.id,
+  };
+  const token = jwt.sign(claims, process.env.JWT_SECRET, getJwtOptions());
+  ctx.cookies.set("jwt", token, getCookeOptions());
+
+  // the refresh token contains the id of the session, only the secret is hashed
+  ctx.cookies.set("refresh", `${session.id}.${secret}`, {
+    ...getCookeOptions(true, new Date(session.expires_at).getTime()),
+    path: refreshCookiePath,
+  });
+}
+
+function getRefreshToken(ctx) {
+  const refreshToken = ctx.cookies.get("refresh", { signed: true });
+  if (refreshToken == null) {
+    return null;
+  }
+
+  const [id, secret] = refreshToken.split(".");
+  if (id == null || secret == null || !validator.isUUID(id)) {
+    return null;
+  }
+  return { id: id, secret: secret };
+}
+
+function getUserAgent(ctx) {
+  const userAgent = ctx.get("User-Agent");
+  return userAgent !== "" ? userAgent.substring(0, 256) : null;
+}
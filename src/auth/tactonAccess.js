@@ -0,0 +1,90 @@
+import dbServer from "../database/dbServer.js";
+import { can } from "./roles.js";
+import { hasTeamRole, managingRoles } from "./teamAccess.js";
+
+/**
+ * Checks who is allowed to see a tacton, based on the visibility of the tacton.
+ * The user is the object from the permission middleware (or null for anonymous requests).
+ * Tactons owned by a team (team_id) can always be seen by the members of the team.
+ */
+export const visibilities = ["private", "team", "public"];
+
+export function canViewTacton(user, tacton, ownerTeamId = null) {
+  if (tacton.visibility === "public") {
+    return true;
+  }
+
+  // anonymous users can only see public tactons
+  if (user == null) {
+    return false;
+  }
+
+  // admins and owners can see everything
+  if (can(user, "tactons:view:any") || tacton.user_id === user.id) {
+    return true;
+  }
+
+  // the library of the team
+  if (tacton.team_id != null) {
+    return tacton.team_id === user.teamId;
+  }
+
+  return (
+    tacton.visibility === "team" &&
+    ownerTeamId != null &&
+    ownerTeamId === user.teamId
+  );
+}
+
+// creates the postgREST condition for the tactons a user is allowed to see
+// it works on everything with the columns visibility, user_id and team_id
+export function getVisibilityCondition(user) {
+  if (user == null) {
+    return "visibility.eq.public";
+  }
+
+  // admins can see everything, so we dont need a condition
+  if (can(user, "tactons:view:any")) {
+    return null;
+  }
+
+  const conditions = ["visibility.eq.public", `user_id.eq.${user.id}`];
+  if (user.teamId != null) {
+    conditions.push(`and(visibility.eq.team,team_id.eq.${user.teamId})`);
+    conditions.push(`owner_team_id.eq.${user.teamId}`);
+  }
+
+  return `or(${conditions.join()})`;
+}
+
+// creators and moderators can edit a tacton, for team tactons the owners and maintainers of the team as well
+export function canEditTacton(user, tacton) {
+  if (can(user, "tactons:edit:any") || tacton.user_id === user.id) {
+    return true;
+  }
+
+  return (
+    tacton.team_id != null && hasTeamRole(user, tacton.team_id, managingRoles)
+  );
+}
+
+// get a single tacton, throws if the tacton does not exist or the user is not allowed to see it
+export async function getViewableTacton(ctx, id, select = "*") {
+  const response = await dbServer.get(
+    `/tactons?id=eq.${id}&select=${select},visibility,user_id,team_id,owner:users(team_id)`
+  );
+
+  // dont tell the user that there is a tacton he is not allowed to see
+  if (
+    response.data.length !== 1 ||
+    !canViewTacton(
+      ctx.state.user,
+      response.data[0],
+      response.data[0].owner.team_id
+    )
+  ) {
+    ctx.throw(400, "No unique tacton found");
+  }
+
+  return response.data[0];
+}
@@ -0,0 +1,41 @@
+import validator from "validator";
+import dbServer from "../database/dbServer.js";
+import { can } from "./roles.js";
+
+/**
+ * Checks what a user is allowed to do in a team, based on the role in the team.
+ * The user is the object from the permission middleware.
+ * - owner: everything, including deleting the team and changing roles
+ * - maintainer: rename the team, invite, accept requests and kick members
+ * - member: leave the team
+ */
+export const teamRoles = ["owner", "maintainer", "member"];
+
+// roles which are allowed to manage the members of a team
+export const managingRoles = ["owner", "maintainer"];
+
+export function hasTeamRole(user, teamId, roles) {
+  // admins can manage all teams
+  if (can(user, "teams:manage")) {
+    return true;
+  }
+
+  return user.teamId === teamId && roles.includes(user.teamRole);
+}
+
+// get a single team, throws if the team does not exist
+export async function getTeam(ctx, id) {
+  if (id == null) {
+    ctx.throw(400, "missing id");
+  }
+  if (!validator.isUUID(id)) {
+    ctx.throw(400, "Invalid id");
+  }
+
+  const response = await dbServer.get(`/teams?id=eq.${id}`);
+  if (response.data.length !== 1) {
+    ctx.throw(400, "Invalid id");
+  }
+
+  return response.data[0];
+}
@@ -0,0 +1,102 @@
+/**
+ * Time-based one-time passwords (RFC 6238) like the authenticator apps use them:
+ * HMAC-SHA1, 6 digits and a period of 30 seconds.
+ * The secret is shared as base32 string.
+ */
+import crypto from "crypto";
+
+const base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const digits = 6;
+const period = 30;
+
+// accepted codes before and after the current period, for clocks which are a bit off
+const window = 1;
+
+export function generateSecret() {
+  return encodeBase32(crypto.randomBytes(20));
+}
+
+export function getOtpAuthUri(secret, accountName, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret: secret,
+    issuer: issuer,
+    algorithm: "SHA1",
+    digits: digits.toString(),
+    period: period.toString(),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function getCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / period);
+}
+
+// returns the counter of the matching period or null if the code is invalid
+export function verifyCode(secret, code, time = Date.now()) {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const key = decodeBase32(secret);
+  const counter = getCounter(time);
+  for (let i = counter - window; i <= counter + window; i++) {
+    const expected = generateCode(key, i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return i;
+    }
+  }
+  return null;
+}
+
+// ---- helper functions ----
+function generateCode(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+
+  // dynamic truncation, see RFC 4226
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+}
+
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function decodeBase32(string) {
+  const cleaned = string.toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new RangeError("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
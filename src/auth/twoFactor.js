@@ -0,0 +1,147 @@
+/**
+ * Two-factor authentication with TOTP codes and one-time recovery codes.
+ * Admins can require it for every admin account (setting "require_admin_2fa"),
+ * admins without it have no admin permissions until they enroll.
+ */
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import config from "../config/index.js";
+import dbServer from "../database/dbServer.js";
+import { compareHash, generateHash } from "./password.js";
+import { verifyCode } from "./totp.js";
+
+const recoveryCodeCount = 10;
+const requireAdminSetting = "require_admin_2fa";
+
+// seconds to enter the code after the password was accepted
+const challengeExpiresIn = 60 * 5;
+const challengePurpose = "2fa";
+
+// verifies a code of the authenticator app, every code works only once
+export async function verifyTotp(user, code) {
+  if (user.totp_secret == null) {
+    return false;
+  }
+
+  const counter = verifyCode(user.totp_secret, code);
+  if (counter == null) {
+    return false;
+  }
+  if (user.totp_counter != null && counter <= user.totp_counter) {
+    return false;
+  }
+
+  // only update if no other request used the code in the meantime
+  const response = await dbServer.patch(
+    `/users?and=(id.eq.${user.id},or(totp_counter.is.null,totp_counter.lt.${counter}))`,
+    { totp_counter: counter }
+  );
+  return response.data.length === 1;
+}
+
+// replaces the recovery codes of the user, returns the new codes
+export async function createRecoveryCodes(userId) {
+  const codes = [];
+  const rows = [];
+  for (let i = 0; i < recoveryCodeCount; i++) {
+    const code = crypto.randomBytes(5).toString("hex");
+    const hash = await generateHash(code);
+    codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+    rows.push({ user_id: userId, code: hash.toString("hex") });
+  }
+
+  await dbServer.delete(`/recovery_codes?user_id=eq.${userId}`);
+  await dbServer.post("/recovery_codes", rows);
+  return codes;
+}
+
+// checks and uses a recovery code, every code works only once
+export async function useRecoveryCode(userId, code) {
+  if (typeof code !== "string") {
+    return false;
+  }
+  const normalizedCode = code.replace(/[\s-]/g, "").toLowerCase();
+
+  const response = await dbServer.get(
+    `/recovery_codes?and=(user_id.eq.${userId},used.is.false)`
+  );
+  for (const row of response.data) {
+    const validCode = await compareHash(normalizedCode, row.code);
+    if (validCode.valid) {
+      const updateResponse = await dbServer.patch(
+        `/recovery_codes?and=(id.eq.${row.id},used.is.false)`,
+        { used: true }
+      );
+      return updateResponse.data.length === 1;
+    }
+  }
+  return false;
+}
+
+export async function getRemainingRecoveryCodes(userId) {
+  const response = await dbServer.get(
+    `/recovery_codes?select=id&and=(user_id.eq.${userId},used.is.false)`
+  );
+  return response.data.length;
+}
+
+// the second factor is a code of the app or a recovery code
+export async function verifySecondFactor(user, code, recoveryCode) {
+  if (code != null) {
+    return verifyTotp(user, code);
+  }
+  if (recoveryCode != null) {
+    return useRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+}
+
+export async function isAdminTwoFactorRequired() {
+  const response = await dbServer.get(
+    `/settings?name=eq.${requireAdminSetting}`
+  );
+  return response.data.length === 1 && response.data[0].value === true;
+}
+
+export async function setAdminTwoFactorRequired(required) {
+  await dbServer.post(
+    "/settings",
+    { name: requireAdminSetting, value: required },
+    { headers: { Prefer: "resolution=merge-duplicates" } }
+  );
+}
+
+// admins need two-factor authentication for their permissions if it's required
+export async function hasAdminPermissions(user) {
+  if (!user.admin) {
+    return false;
+  }
+  if (user.totp_enabled) {
+    return true;
+  }
+  return !(await isAdminTwoFactorRequired());
+}
+
+// short-lived token for the second step of the login, it can't be used as jwt
+export function createLoginChallenge(userId) {
+  const claims = {
+    id: userId,
+    purpose: challengePurpose,
+  };
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    issuer: config.domain,
+    expiresIn: challengeExpiresIn,
+  });
+}
+
+// returns the user id of the challenge or null if it's invalid or expired
+export function verifyLoginChallenge(challenge) {
+  try {
+    const claims = jwt.verify(challenge, process.env.JWT_SECRET, {
+      issuer: config.domain,
+    });
+    return claims.purpose === challengePurpose ? claims.id : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import path from "path";
 
 // load env files from .env file
 dotenv.config();
@@ -9,6 +10,60 @@ const config = {
   cookieSecret: process.env.COOKIE_SECRET,
   jwtSecret: process.env.JWT_SECRET,
   domain: "https://" + process.env.SERVER_DOMAIN,
+  // maximum size of a libvtp buffer in bytes
+  libvtpMaxSize: parseInt(process.env.LIBVTP_MAX_SIZE) || 16384,
+  // checks for new passwords
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: 128,
+    // strength from 0 (very weak) to 4 (strong)
+    minStrength: Number.isNaN(parseInt(process.env.PASSWORD_MIN_STRENGTH))
+      ? 2
+      : parseInt(process.env.PASSWORD_MIN_STRENGTH),
+    // file with one breached password per line
+    breachList:
+      process.env.PASSWORD_BREACH_LIST ||
+      path.join(process.env.APP_PATH || "", "data/breached-passwords.txt"),
+  },
+  // throttling of the login and password routes, times in seconds
+  throttle: {
+    // memory (default, only for a single process)
+    store: process.env.THROTTLE_STORE || "memory",
+    // attempts before the lockouts start
+    accountAttempts: parseInt(process.env.THROTTLE_ACCOUNT_ATTEMPTS) || 5,
+    ipAttempts: parseInt(process.env.THROTTLE_IP_ATTEMPTS) || 20,
+    // the first lockout, it doubles with every further attempt
+    baseDelay: parseInt(process.env.THROTTLE_BASE_DELAY) || 30,
+    maxDelay: parseInt(process.env.THROTTLE_MAX_DELAY) || 60 * 60,
+    // attempts are forgotten after this time without new attempts
+    window: parseInt(process.env.THROTTLE_WINDOW) || 60 * 60,
+  },
+  // self-service deletion of accounts
+  accountDeletion: {
+    // days until a requested deletion is executed, the user can cancel it until then (0 deletes at once)
+    gracePeriod: Number.isNaN(parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS))
+      ? 14
+      : parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS),
+  },
+  mail: {
+    // smtp, file (saves the mails in the directory) or memory
+    // production uses smtp by default, files with the tokens must not be left on the server
+    transport:
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "file"),
+    from: process.env.MAIL_FROM || "TactJam <noreply@localhost>",
+    directory: process.env.MAIL_DIRECTORY || "mails",
+    // links in the mails start with this url, like the url of the client
+    linkUrl:
+      process.env.MAIL_LINK_URL || "https://" + process.env.SERVER_DOMAIN,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+  },
 };
 
 export default config;
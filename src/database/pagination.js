@@ -0,0 +1,94 @@
+/**
+ * Helper for cursor based pagination with postgREST.
+ * The cursor contains the value of the sorted column and the id of the last entry of a page,
+ * so the next page starts right after this entry (keyset pagination).
+ */
+import validator from "validator";
+import dbServer from "./dbServer.js";
+
+export const maxLimit = 100;
+
+// types of the values in a cursor, a changed cursor must not end up in the query
+const cursorTypes = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  date: (value) =>
+    typeof value === "string" && !Number.isNaN(Date.parse(value)),
+  uuid: (value) => typeof value === "string" && validator.isUUID(value),
+};
+
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+// valueType and idType are keys of cursorTypes, returns null for an invalid cursor
+export function decodeCursor(cursor, valueType, idType = "uuid") {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      !Array.isArray(decoded) ||
+      decoded.length !== 2 ||
+      !cursorTypes[valueType](decoded[0]) ||
+      !cursorTypes[idType](decoded[1])
+    ) {
+      return null;
+    }
+    return { value: decoded[0], id: decoded[1] };
+  } catch (e) {
+    return null;
+  }
+}
+
+// quote a value for the logical operators of postgREST
+export function quoteValue(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// creates the condition to get all entries after the cursor
+export function getCursorCondition(cursor, column, ascending) {
+  const operator = ascending ? "gt" : "lt";
+  const value = encodeURIComponent(quoteValue(cursor.value));
+  const id = encodeURIComponent(quoteValue(cursor.id));
+  return `or(${column}.${operator}.${value},and(${column}.eq.${value},id.${operator}.${id}))`;
+}
+
+// combines all conditions to one query parameter
+export function getConditionQuery(conditions) {
+  const filtered = conditions.filter((condition) => condition != null);
+  if (filtered.length === 0) {
+    return "";
+  }
+  return `and=(${filtered.join()})`;
+}
+
+// get the total amount of entries for the query, postgREST returns it in the content-range header
+export async function getTotalCount(path, query) {
+  const response = await dbServer.get(
+    appendQuery(path, [query, "select=id", "limit=1"]),
+    { headers: { Prefer: "count=exact" } }
+  );
+  const range = response.headers["content-range"];
+  if (range == null) {
+    return response.data.length;
+  }
+  return parseInt(range.split("/")[1]) || 0;
+}
+
+export function appendQuery(path, parts) {
+  const query = parts.filter((part) => part != null && part !== "").join("&");
+  if (query === "") {
+    return path;
+  }
+  return path + (path.includes("?") ? "&" : "?") + query;
+}
+
+export function setPaginationHeaders(ctx, page) {
+  ctx.set("X-Total-Count", String(page.total));
+  // ranked lists only reach a part of the results
+  if (page.ranked != null) {
+    ctx.set("X-Ranked-Count", String(page.ranked));
+  }
+  if (page.next != null) {
+    ctx.set("X-Next-Cursor", page.next);
+  }
+}
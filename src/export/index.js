@@ -0,0 +1,185 @@
+/**
+ * Data export of a user (GDPR), everything stored about the user:
+ * profile, e-mail history, logins, tactons with libvtp and motor positions,
+ * created tags, body tags and layouts, the team memberships and a scheduled account deletion.
+ * Secrets like password hashes and tokens are never exported.
+ */
+import dbServer from "../database/dbServer.js";
+import mapOutput from "../helper/mapMotorPositionOutput.js";
+import { createZip } from "./zip.js";
+
+// ids per request for the linked entries of the tactons, a user can have more tactons than fit into one URL
+const idChunkSize = 100;
+
+// every column of the users besides the secrets
+const profileSelect =
+  "id,username,name,email,created_at,updated_at,last_login_at,team_id,team_role,banned,banned_at,banned_until,ban_reason,admin,roles,totp_enabled";
+
+export async function collectUserData(userId) {
+  const profile = await getOne(
+    `/users?id=eq.${userId}&select=${profileSelect}`
+  );
+
+  const emailHistory = await getAll(
+    `/email_updates?user_id=eq.${userId}&select=old_email,new_email,confirmed,current,confirm_expiry_at&order=number.asc`
+  );
+  const sessions = await getAll(
+    `/sessions?user_id=eq.${userId}&select=created_at,last_used_at,expires_at,ip,user_agent&order=created_at.asc`
+  );
+  const loginEvents = await getAll(
+    `/audit_events?and=(target_type.eq.user,target_id.eq.${userId},type.in.(auth.login,auth.login_failed,auth.logout))&select=type,ip,created_at&order=created_at.asc`
+  );
+  const accessTokens = await getAll(
+    `/access_tokens?user_id=eq.${userId}&select=name,scopes,created_at,expires_at,last_used_at&order=created_at.asc`
+  );
+
+  const tactons = await getTactons(userId);
+  const layouts = await getAll(
+    `/motor_positions?owner_id=eq.${userId}&order=id.asc`
+  );
+  const tags = await getAll(`/tags?creator_id=eq.${userId}&order=id.asc`);
+  const bodyTags = await getAll(
+    `/body_tags?creator_id=eq.${userId}&order=id.asc`
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profile,
+    emailHistory: emailHistory,
+    logins: {
+      lastLoginAt: profile.last_login_at,
+      events: loginEvents,
+      sessions: sessions,
+    },
+    accessTokens: accessTokens,
+    tactons: tactons,
+    motorPositions: layouts.map((layout) => mapOutput(layout)),
+    tags: tags,
+    bodyTags: bodyTags,
+    teams: await getTeams(profile),
+    accountDeletion: await getOne(
+      `/account_deletions?user_id=eq.${userId}&select=requested_at,scheduled_at,keep_public_tactons`
+    ),
+  };
+}
+
+// the zip contains the same data split into files and the libvtp of every tacton as binary file
+export function createExportZip(data) {
+  const files = [
+    { name: "README.txt", content: getReadme(data) },
+    { name: "profile.json", content: toJson(data.profile) },
+    { name: "email-history.json", content: toJson(data.emailHistory) },
+    { name: "logins.json", content: toJson(data.logins) },
+    { name: "access-tokens.json", content: toJson(data.accessTokens) },
+    { name: "tactons.json", content: toJson(data.tactons) },
+    { name: "motor-positions.json", content: toJson(data.motorPositions) },
+    { name: "tags.json", content: toJson(data.tags) },
+    { name: "body-tags.json", content: toJson(data.bodyTags) },
+    { name: "teams.json", content: toJson(data.teams) },
+    { name: "account-deletion.json", content: toJson(data.accountDeletion) },
+  ];
+  data.tactons.forEach((tacton) => {
+    files.push({
+      name: `tactons/${tacton.id}.vtp`,
+      content: Buffer.from(tacton.libvtp, "hex"),
+    });
+  });
+
+  return createZip(files, new Date(data.exportedAt));
+}
+
+// ---- helper functions ----
+async function getAll(path) {
+  const response = await dbServer.get(path);
+  return response.data;
+}
+
+async function getOne(path) {
+  const data = await getAll(path);
+  return data.length > 0 ? data[0] : null;
+}
+
+// the ids are requested in chunks of "idChunkSize"
+async function getAllIn(path, column, ids, query = "") {
+  const separator = query !== "" ? "&" : "";
+  const data = [];
+  for (let i = 0; i < ids.length; i += idChunkSize) {
+    const chunk = ids.slice(i, i + idChunkSize).join();
+    data.push(
+      ...(await getAll(`${path}?${column}=in.(${chunk})${separator}${query}`))
+    );
+  }
+  return data;
+}
+
+async function getTactons(userId) {
+  const tactons = await getAll(
+    `/tactons?user_id=eq.${userId}&order=last_update_at.asc`
+  );
+  if (tactons.length === 0) {
+    return [];
+  }
+
+  const tactonIds = tactons.map((tacton) => tacton.id);
+  const layoutIds = [
+    ...new Set(tactons.map((tacton) => tacton.motor_positions_id)),
+  ];
+  const layouts = await getAllIn("/motor_positions", "id", layoutIds);
+  const tagLinks = await getAllIn(
+    "/tacton_tag_link",
+    "tacton_id",
+    tactonIds,
+    "select=tacton_id,tag:tags(id,name)"
+  );
+  const bodyTagLinks = await getAllIn(
+    "/tacton_bodytag_link",
+    "tacton_id",
+    tactonIds,
+    "select=tacton_id,bodytag:body_tags(id,name)"
+  );
+
+  return tactons.map((tacton) => ({
+    ...tacton,
+    motorPositions: mapOutput(
+      layouts.find((layout) => layout.id === tacton.motor_positions_id)
+    ),
+    tags: tagLinks
+      .filter((link) => link.tacton_id === tacton.id)
+      .map((link) => link.tag),
+    bodyTags: bodyTagLinks
+      .filter((link) => link.tacton_id === tacton.id)
+      .map((link) => link.bodytag),
+  }));
+}
+
+async function getTeams(profile) {
+  const current =
+    profile.team_id != null
+      ? await getOne(`/teams?id=eq.${profile.team_id}&select=id,name`)
+      : null;
+
+  return {
+    current: current != null ? { ...current, role: profile.team_role } : null,
+    created: await getAll(
+      `/teams?creator_id=eq.${profile.id}&select=id,name&order=name.asc`
+    ),
+    invitations: await getAll(
+      `/team_invitations?user_id=eq.${profile.id}&select=type,created_at,team:teams(id,name)&order=created_at.asc`
+    ),
+  };
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function getReadme(data) {
+  return [
+    `TactJam data export of ${data.profile.username}, created at ${data.exportedAt}.`,
+    "",
+    "The JSON files contain everything the TactJam server stores about your account.",
+    "The tactons folder contains the libvtp buffer of every tacton (tactons.json lists the titles).",
+    "Passwords, tokens and the two-factor secret are not part of the export.",
+    "",
+  ].join("\n");
+}
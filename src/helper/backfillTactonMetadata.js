@@ -0,0 +1,39 @@
+import dbServer from "../database/dbServer.js";
+import { decode, getMetadata } from "../libvtp/index.js";
+
+// tactons handled with one request
+const pageSize = 100;
+
+/**
+ * Tactons saved before the metadata columns have 0 as values (column default),
+ * so they are missing in the filters and sorting by duration or channels.
+ * The metadata is calculated from their libvtp buffer, tactons with an empty or invalid buffer stay at 0.
+ * Returns the number of updated tactons.
+ */
+export default async function backfillTactonMetadata() {
+  let updated = 0;
+  let after = null;
+
+  for (;;) {
+    const cursor = after != null ? `&id=gt.${after}` : "";
+    const response = await dbServer.get(
+      `/tactons?instruction_count=eq.0${cursor}&select=id,libvtp&order=id.asc&limit=${pageSize}`
+    );
+
+    for (const tacton of response.data) {
+      const decoded = decode(tacton.libvtp);
+      if (decoded.valid && decoded.instructions.length > 0) {
+        await dbServer.patch(
+          `/tactons?id=eq.${tacton.id}`,
+          getMetadata(decoded.instructions)
+        );
+        updated++;
+      }
+    }
+
+    if (response.data.length < pageSize) {
+      return updated;
+    }
+    after = response.data[response.data.length - 1].id;
+  }
+}
@@ -0,0 +1,35 @@
+import dbServer from "../database/dbServer.js";
+
+/**
+ * Members from before the team roles have no role (team_role null), so nobody could manage their team.
+ * The creator of the team becomes the owner (if the team has none yet), everyone else a member.
+ * Returns the number of updated members.
+ */
+export default async function backfillTeamRoles() {
+  const response = await dbServer.get(
+    "/users?and=(team_id.not.is.null,team_role.is.null)&select=id,team_id"
+  );
+  const teamIds = [...new Set(response.data.map((user) => user.team_id))];
+
+  for (const teamId of teamIds) {
+    const teamResponse = await dbServer.get(
+      `/teams?id=eq.${teamId}&select=creator_id`
+    );
+    const ownerResponse = await dbServer.get(
+      `/users?and=(team_id.eq.${teamId},team_role.eq.owner)&select=id`
+    );
+    if (teamResponse.data.length === 1 && ownerResponse.data.length === 0) {
+      await dbServer.patch(
+        `/users?and=(id.eq.${teamResponse.data[0].creator_id},team_id.eq.${teamId},team_role.is.null)`,
+        { team_role: "owner" }
+      );
+    }
+
+    await dbServer.patch(
+      `/users?and=(team_id.eq.${teamId},team_role.is.null)`,
+      { team_role: "member" }
+    );
+  }
+
+  return response.data.length;
+}
@@ -0,0 +1,76 @@
+import mapOutput from "./mapMotorPositionOutput.js";
+
+// maps the entries of the view gettactons for the response
+export default async function createResponseData(data) {
+  return new Promise((resolve) => {
+    // check if the length is null, if it is, then resolve with empty array
+    if (data.length === 0) {
+      resolve([]);
+    }
+
+    // remove duplicates, adjust motorposition output
+    for (let i = 0; i < data.length; i++) {
+      // filter duplicates from the tags
+      data[i].tags = filterArrayById(data[i].tags);
+
+      // check if we have an empty tag entry (database can return an entry with null if there is no tag)
+      // it will return an array with exact one entry then
+      if (data[i].tags.length === 1) {
+        // since there can be an entry with one tag as well, we need to check if the the id/name/creator_id is null
+        if (data[i].tags[0].id === null) {
+          // this entry is empty, so we can assign an empty array to the tacton
+          data[i].tags = [];
+        }
+      }
+
+      // filter duplicates from the bodytags
+      data[i].bodytags = filterArrayById(data[i].bodytags);
+      // check if we have an empty bodytag entry (database can return an entry with null if there is no bodytag)
+      // it will return an array with exact one entry then
+      if (data[i].bodytags.length === 1) {
+        // since there can be an entry with one tag as well, we need to check if the the id/name/creator_id is null
+        if (data[i].bodytags[0].id === null) {
+          // this entry is empty, so we can assign an empty array to the tacton
+          data[i].bodytags = [];
+        }
+      }
+
+      // convert / map the motorpositions output
+      data[i].motorpositions = mapOutput(data[i].motorpositions);
+
+      // group the metadata of the libvtp buffer
+      data[i].metadata = {
+        duration: data[i].duration_ms,
+        channels: data[i].channel_count,
+        instructions: data[i].instruction_count,
+        peakAmplitude: data[i].peak_amplitude,
+        meanAmplitude: Number(data[i].mean_amplitude),
+      };
+      delete data[i].duration_ms;
+      delete data[i].channel_count;
+      delete data[i].instruction_count;
+      delete data[i].peak_amplitude;
+      delete data[i].mean_amplitude;
+
+      // only needed for filtering, the tags are part of the response already
+      delete data[i].tag_names;
+      delete data[i].bodytag_names;
+      delete data[i].tag_text;
+      delete data[i].bodytag_text;
+      delete data[i].author_name;
+      delete data[i].team_name;
+      delete data[i].owner_team_id;
+
+      if (i === data.length - 1) {
+        resolve(data);
+      }
+    }
+  });
+}
+
+// ---- helper functions ----
+function filterArrayById(array) {
+  return array.filter(
+    (arr, index, self) => index === self.findIndex((t) => t.id === arr.id)
+  );
+}
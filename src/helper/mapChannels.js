@@ -0,0 +1,51 @@
+// get the nearest motor of the target for every motor of the source
+// source and target use the same schema as the table motor_positions (x, y and z arrays)
+export function getNearestChannelMap(source, target) {
+  const channelMap = [];
+
+  for (let i = 0; i < source.x.length; i++) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (let j = 0; j < target.x.length; j++) {
+      const distance =
+        (Number(source.x[i]) - Number(target.x[j])) ** 2 +
+        (Number(source.y[i]) - Number(target.y[j])) ** 2 +
+        (Number(source.z[i]) - Number(target.z[j])) ** 2;
+
+      if (distance < nearestDistance) {
+        nearest = j;
+        nearestDistance = distance;
+      }
+    }
+
+    channelMap.push(nearest);
+  }
+
+  return channelMap;
+}
+
+// change the channels of the decoded libvtp instructions
+// instructions of channels without a target channel (null) are removed
+export function mapInstructions(instructions, channelMap) {
+  const mapped = instructions
+    .filter(
+      (instruction) =>
+        instruction.channel == null || channelMap[instruction.channel] != null
+    )
+    .map((instruction) =>
+      instruction.channel == null
+        ? instruction
+        : { ...instruction, channel: channelMap[instruction.channel] }
+    );
+
+  // keep the duration, even if the last instructions got removed
+  const duration =
+    instructions.length > 0 ? instructions[instructions.length - 1].time : 0;
+  const mappedDuration = mapped.length > 0 ? mapped[mapped.length - 1].time : 0;
+  if (mapped.length > 0 && mappedDuration < duration) {
+    mapped.push({ type: "incrementTime", time: duration });
+  }
+
+  return mapped;
+}
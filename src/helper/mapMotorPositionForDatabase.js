@@ -2,6 +2,7 @@ export default function mapForDatabase(positions) {
   const x = [];
   const y = [];
   const z = [];
+  const labels = [];
 
   // change the schema to xyz
   for (let i = 0; i < positions.length; i++) {
@@ -13,6 +14,7 @@ export default function mapForDatabase(positions) {
       x.push(positions[i].x);
       y.push(positions[i].y);
       z.push(positions[i].z);
+      labels.push(positions[i].label != null ? positions[i].label : null);
     }
   }
 
@@ -20,5 +22,7 @@ export default function mapForDatabase(positions) {
     x: x,
     y: y,
     z: z,
+    // only return labels if at least one is set
+    labels: labels.some((label) => label != null) ? labels : undefined,
   };
 }
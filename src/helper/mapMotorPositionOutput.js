@@ -4,13 +4,30 @@ export default function mapOutput(dataObject) {
     positions: [],
   };
 
+  // named layouts got more information
+  ["name", "description", "device", "owner"].forEach((key) => {
+    if (dataObject[key] !== undefined) {
+      obj[key] = dataObject[key];
+    }
+  });
+
   // change the schema to xyz
   for (let i = 0; i < dataObject.x.length; i++) {
-    obj.positions.push({
+    const position = {
       x: dataObject.x[i],
       y: dataObject.y[i],
       z: dataObject.z[i],
-    });
+    };
+
+    // labels are optional
+    if (dataObject.labels !== undefined) {
+      position.label =
+        dataObject.labels != null && dataObject.labels[i] != null
+          ? dataObject.labels[i]
+          : null;
+    }
+
+    obj.positions.push(position);
   }
 
   return obj;
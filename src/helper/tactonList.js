@@ -0,0 +1,214 @@
+import validator from "validator";
+import dbServer from "../database/dbServer.js";
+import {
+  appendQuery,
+  decodeCursor,
+  encodeCursor,
+  getConditionQuery,
+  getCursorCondition,
+  getTotalCount,
+  maxLimit,
+  quoteValue,
+} from "../database/pagination.js";
+
+// sort options with the column of the view gettactons
+const sortColumns = {
+  title: "title",
+  updated: "last_update_at",
+  duration: "duration_ms",
+  popularity: "fork_count",
+};
+// type of the sorted column, to check the cursor
+const sortTypes = {
+  title: "string",
+  updated: "date",
+  duration: "integer",
+  popularity: "integer",
+};
+
+// ranking needs every matching tacton, so we limit the amount
+const maxRankedResults = 1000;
+const rankedSelect = "id,title,description,tag_names,bodytag_names";
+
+/**
+ * Get a page of tactons from the view gettactons (or a function returning the view).
+ * Sorting, filtering and the cursor are read from the query of the request.
+ * Use the conditions to add own filters, like the visibility of the tactons.
+ */
+export default async function getTactonList(ctx, path, conditions = []) {
+  const query = ctx.query;
+  const sort = query.sort != null ? query.sort : "updated";
+  const limit = getLimit(ctx);
+
+  // check sorting
+  if (sortColumns[sort] == null) {
+    ctx.throw(400, `Invalid sort, use one of: ${Object.keys(sortColumns)}`);
+  }
+  if (query.order != null && !["asc", "desc"].includes(query.order)) {
+    ctx.throw(400, "Invalid order, use asc or desc");
+  }
+
+  // titles are sorted alphabetically, everything else starts with the highest value
+  const column = sortColumns[sort];
+  const ascending =
+    query.order != null ? query.order === "asc" : sort === "title";
+
+  const filters = [...conditions, ...getFilterConditions(ctx)];
+
+  // the total count does not depend on the cursor
+  const total = await getTotalCount(path, getConditionQuery(filters));
+
+  if (query.after != null) {
+    const cursor = decodeCursor(query.after, sortTypes[sort]);
+    if (cursor == null) {
+      ctx.throw(400, "Invalid cursor");
+    }
+    filters.push(getCursorCondition(cursor, column, ascending));
+  }
+
+  // get one more entry than needed, so we know if there is a next page
+  const direction = ascending ? "asc" : "desc";
+  const response = await dbServer.get(
+    appendQuery(path, [
+      getConditionQuery(filters),
+      `order=${column}.${direction},id.${direction}`,
+      `limit=${limit + 1}`,
+    ])
+  );
+
+  const data = response.data.slice(0, limit);
+  let next = null;
+  if (response.data.length > data.length) {
+    const last = data[data.length - 1];
+    next = encodeCursor(last[column], last.id);
+  }
+
+  return { data: data, next: next, total: total };
+}
+
+/**
+ * Get a page of tactons sorted by the rank function (highest first).
+ * Only the newest matching tactons up to "maxRankedResults" are ranked, the total counts all of them.
+ * "ranked" is the number of reachable results, less than the total if the results were cut off.
+ * The cursor contains the position of the next page in the ranked list.
+ */
+export async function getRankedTactonList(ctx, path, conditions, rank) {
+  const limit = getLimit(ctx);
+  const filters = [...conditions, ...getFilterConditions(ctx)];
+
+  let offset = 0;
+  if (ctx.query.after != null) {
+    const cursor = decodeCursor(ctx.query.after, "integer");
+    if (cursor == null || cursor.value < 0) {
+      ctx.throw(400, "Invalid cursor");
+    }
+    offset = cursor.value;
+  }
+
+  // the total does not depend on the cut off of the ranking
+  const total = await getTotalCount(path, getConditionQuery(filters));
+
+  // get only the columns needed for ranking first
+  const response = await dbServer.get(
+    appendQuery(path, [
+      getConditionQuery(filters),
+      `select=${rankedSelect}`,
+      "order=last_update_at.desc,id.desc",
+      `limit=${maxRankedResults}`,
+    ])
+  );
+
+  // sort is stable, so newer tactons stay first with the same rank
+  const ranked = response.data
+    .map((row) => ({ id: row.id, score: rank(row) }))
+    .sort((a, b) => b.score - a.score);
+  const pageIds = ranked.slice(offset, offset + limit).map((row) => row.id);
+
+  // now get the whole tactons of the page
+  let data = [];
+  if (pageIds.length > 0) {
+    const pageResponse = await dbServer.get(
+      appendQuery(path, [`id=in.(${pageIds.join()})`])
+    );
+    data = pageIds
+      .map((id) => pageResponse.data.find((row) => row.id === id))
+      .filter((row) => row != null);
+  }
+
+  let next = null;
+  if (offset + limit < ranked.length) {
+    next = encodeCursor(offset + limit, pageIds[pageIds.length - 1]);
+  }
+
+  return { data: data, next: next, total: total, ranked: ranked.length };
+}
+
+// ---- helper functions ----
+function getLimit(ctx) {
+  const limit = ctx.query.limit != null ? ctx.query.limit : "50";
+  if (!validator.isInt(limit, { min: 1, max: maxLimit })) {
+    ctx.throw(400, `Invalid limit (min: 1, max: ${maxLimit})`);
+  }
+  return parseInt(limit);
+}
+
+function getFilterConditions(ctx) {
+  const query = ctx.query;
+  const conditions = [];
+
+  if (query.author != null) {
+    if (!validator.isUUID(query.author)) {
+      ctx.throw(400, "Invalid author");
+    }
+    conditions.push(`user_id.eq.${query.author}`);
+  }
+
+  if (query.tag != null) {
+    conditions.push(`tag_names.cs.{${getTagName(ctx, query.tag)}}`);
+  }
+
+  if (query.bodyTag != null) {
+    conditions.push(`bodytag_names.cs.{${getTagName(ctx, query.bodyTag)}}`);
+  }
+
+  if (query.layout != null) {
+    if (!validator.isInt(query.layout)) {
+      ctx.throw(400, "Invalid layout");
+    }
+    conditions.push(`motor_positions_id.eq.${query.layout}`);
+  }
+
+  if (query.from != null) {
+    if (!validator.isISO8601(query.from)) {
+      ctx.throw(400, "Invalid from date");
+    }
+    conditions.push(
+      `last_update_at.gte.${encodeURIComponent(quoteValue(query.from))}`
+    );
+  }
+
+  if (query.to != null) {
+    if (!validator.isISO8601(query.to)) {
+      ctx.throw(400, "Invalid to date");
+    }
+    conditions.push(
+      `last_update_at.lte.${encodeURIComponent(quoteValue(query.to))}`
+    );
+  }
+
+  return conditions;
+}
+
+function getTagName(ctx, name) {
+  name = validator.trim(name);
+
+  // same rules as creating a (body)tag
+  if (
+    !validator.isLength(name, { min: 2, max: 128 }) ||
+    !validator.isAlpha(name, "en-US", { ignore: "1234567890 -" })
+  ) {
+    ctx.throw(400, "Invalid tag name");
+  }
+
+  return encodeURIComponent(name.toLowerCase());
+}
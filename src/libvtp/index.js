@@ -0,0 +1,223 @@
+/**
+ * Decoder and encoder for the libvtp buffers we store in the column "tactons.libvtp".
+ * The buffer is saved as hex string and contains a list of 32 bit instruction words (big endian).
+ *
+ * The upper 4 bits of every word contain the instruction code:
+ * - 0x0 IncrementTime: | code (4) | unused (4) | time offset (24) |
+ * - 0x1 SetAmplitude:  | code (4) | channel (8) | time offset (10) | amplitude (10) |
+ * - 0x2 SetFrequency:  | code (4) | channel (8) | time offset (10) | frequency (10) |
+ *
+ * The time offset (in ms) is always relative to the previous instruction.
+ * Decoded instructions contain the absolute time, the encoder calculates the offsets again.
+ */
+export const INSTRUCTION_WORD_SIZE = 4;
+
+export const instructionCodes = {
+  incrementTime: 0x0,
+  setAmplitude: 0x1,
+  setFrequency: 0x2,
+};
+
+const maxIncrementTime = 0xffffff;
+const maxSetOffset = 0x3ff;
+
+export function decode(hexString) {
+  // check if we got a valid hex string first
+  if (typeof hexString !== "string" || !/^([0-9a-fA-F]{2})*$/.test(hexString)) {
+    return { valid: false, msg: "libvtp is not a valid hex string" };
+  }
+
+  const buffer = Buffer.from(hexString, "hex");
+
+  // every instruction is exactly one word
+  if (buffer.length % INSTRUCTION_WORD_SIZE !== 0) {
+    return {
+      valid: false,
+      msg: `libvtp length must be a multiple of ${INSTRUCTION_WORD_SIZE} bytes`,
+      instruction: Math.floor(buffer.length / INSTRUCTION_WORD_SIZE),
+    };
+  }
+
+  const instructions = [];
+  let time = 0;
+
+  for (let i = 0; i < buffer.length / INSTRUCTION_WORD_SIZE; i++) {
+    const word = buffer.readUInt32BE(i * INSTRUCTION_WORD_SIZE);
+    const code = word >>> 28;
+
+    switch (code) {
+      case instructionCodes.incrementTime: {
+        time += word & 0xffffff;
+        instructions.push({ index: i, type: "incrementTime", time: time });
+        break;
+      }
+      case instructionCodes.setAmplitude: {
+        time += (word >>> 10) & 0x3ff;
+        instructions.push({
+          index: i,
+          type: "setAmplitude",
+          time: time,
+          channel: (word >>> 20) & 0xff,
+          amplitude: word & 0x3ff,
+        });
+        break;
+      }
+      case instructionCodes.setFrequency: {
+        time += (word >>> 10) & 0x3ff;
+        instructions.push({
+          index: i,
+          type: "setFrequency",
+          time: time,
+          channel: (word >>> 20) & 0xff,
+          frequency: word & 0x3ff,
+        });
+        break;
+      }
+      default:
+        return {
+          valid: false,
+          msg: `Unknown instruction code ${code}`,
+          instruction: i,
+          word: word.toString(16).padStart(8, "0"),
+        };
+    }
+  }
+
+  return { valid: true, instructions: instructions };
+}
+
+export function encode(instructions) {
+  const words = [];
+  let time = 0;
+
+  instructions.forEach((instruction) => {
+    let offset = instruction.time - time;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new RangeError("libvtp instructions must be sorted by time");
+    }
+    time = instruction.time;
+
+    if (instruction.type === "incrementTime") {
+      offset = pushIncrementTime(words, offset, maxIncrementTime);
+      words.push((instructionCodes.incrementTime << 28) | offset);
+      return;
+    }
+
+    // the offset of (set) instructions is smaller, so we need an extra instruction
+    offset = pushIncrementTime(words, offset, maxSetOffset);
+
+    const code = instructionCodes[instruction.type];
+    const value =
+      instruction.type === "setAmplitude"
+        ? instruction.amplitude
+        : instruction.frequency;
+    if (code == null || code === instructionCodes.incrementTime) {
+      throw new RangeError(`Unknown instruction type ${instruction.type}`);
+    }
+    if (!isInRange(instruction.channel, 0xff) || !isInRange(value, 0x3ff)) {
+      throw new RangeError(
+        `Invalid channel or value in instruction ${instruction.index}`
+      );
+    }
+
+    words.push(
+      (code << 28) | (instruction.channel << 20) | (offset << 10) | value
+    );
+  });
+
+  const buffer = Buffer.alloc(words.length * INSTRUCTION_WORD_SIZE);
+  words.forEach((word, i) => {
+    // the shift of the code makes the number negative, so we convert it back
+    buffer.writeUInt32BE(word >>> 0, i * INSTRUCTION_WORD_SIZE);
+  });
+
+  return buffer.toString("hex");
+}
+
+export function validate(hexString, opts = {}) {
+  const { maxSize, channels } = opts;
+
+  // check the size before decoding, so we dont parse huge buffers
+  if (
+    maxSize != null &&
+    typeof hexString === "string" &&
+    hexString.length / 2 > maxSize
+  ) {
+    return {
+      valid: false,
+      msg: `libvtp exceeds the maximum size of ${maxSize} bytes`,
+      instruction: Math.floor(maxSize / INSTRUCTION_WORD_SIZE),
+    };
+  }
+
+  const decoded = decode(hexString);
+  if (!decoded.valid) {
+    return decoded;
+  }
+
+  if (decoded.instructions.length === 0) {
+    return { valid: false, msg: "libvtp does not contain any instruction" };
+  }
+
+  // check if every instruction uses an available channel
+  if (channels != null) {
+    const invalidInstruction = decoded.instructions.find(
+      (instruction) =>
+        instruction.channel != null && instruction.channel >= channels
+    );
+
+    if (invalidInstruction != null) {
+      return {
+        valid: false,
+        msg: `Channel ${invalidInstruction.channel} is not available, the motor positions only have ${channels} channels`,
+        instruction: invalidInstruction.index,
+      };
+    }
+  }
+
+  return decoded;
+}
+
+export function getMetadata(instructions) {
+  const amplitudes = instructions
+    .filter((instruction) => instruction.type === "setAmplitude")
+    .map((instruction) => instruction.amplitude);
+  const channels = new Set(
+    instructions
+      .filter((instruction) => instruction.channel != null)
+      .map((instruction) => instruction.channel)
+  );
+
+  // the time of the last instruction is the duration, since the time is absolute
+  const duration =
+    instructions.length > 0 ? instructions[instructions.length - 1].time : 0;
+  const mean =
+    amplitudes.length > 0
+      ? amplitudes.reduce((sum, amplitude) => sum + amplitude, 0) /
+        amplitudes.length
+      : 0;
+
+  // named like the columns in the table tactons
+  return {
+    duration_ms: duration,
+    channel_count: channels.size,
+    instruction_count: instructions.length,
+    peak_amplitude: amplitudes.length > 0 ? Math.max(...amplitudes) : 0,
+    mean_amplitude: Math.round(mean * 100) / 100,
+  };
+}
+
+// ---- helper functions ----
+function isInRange(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+// adds IncrementTime instructions until the rest of the offset fits into the instruction
+function pushIncrementTime(words, offset, max) {
+  while (offset > max) {
+    const increment = Math.min(offset, maxIncrementTime);
+    words.push((instructionCodes.incrementTime << 28) | increment);
+    offset -= increment;
+  }
+  return offset;
+}
@@ -0,0 +1,124 @@
+/**
+ * Mail subsystem of the server.
+ * The transport is chosen with the config (MAIL_TRANSPORT): smtp, file or memory.
+ * A transport is an object with a name and an async function send(message),
+ * the message contains from, to, subject, text and html.
+ * A failed mail is logged and returns false instead of throwing,
+ * the routes have saved their changes already and the users can request the mail again.
+ */
+import config from "../config/index.js";
+import * as templates from "./templates.js";
+import createFileTransport from "./transports/file.js";
+import createMemoryTransport from "./transports/memory.js";
+import createSmtpTransport from "./transports/smtp.js";
+
+let transport = null;
+
+export function getTransport() {
+  if (transport == null) {
+    transport = createTransport(config.mail);
+  }
+  return transport;
+}
+
+// replace the transport, for example with a memory transport in tests
+export function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+export async function sendMail(to, mail) {
+  try {
+    await getTransport().send({
+      from: config.mail.from,
+      to: to,
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
+    });
+    return true;
+  } catch (e) {
+    console.error(`Could not send the mail "${mail.subject}"`, e);
+    return false;
+  }
+}
+
+export async function sendEmailConfirmation(email, name, token, newAccount) {
+  const link = createLink("/email/confirm", { email: email, token: token });
+  return sendMail(
+    email,
+    templates.emailConfirmation({
+      name: name,
+      link: link,
+      newAccount: newAccount,
+    })
+  );
+}
+
+// forced resets are started by an admin, the user can't login until the password is set
+export async function sendPasswordReset(email, name, token, forced = false) {
+  const link = createLink("/password/reset", { email: email, token: token });
+  return sendMail(
+    email,
+    templates.passwordReset({ name: name, link: link, forced: forced })
+  );
+}
+
+// tells the old address that the e-mail was changed
+export async function sendEmailChange(oldEmail, name, newEmail) {
+  return sendMail(
+    oldEmail,
+    templates.emailChange({ name: name, newEmail: newEmail })
+  );
+}
+
+export async function sendTeamInvitation(email, name, teamName, inviterName) {
+  return sendMail(
+    email,
+    templates.teamInvitation({
+      name: name,
+      teamName: teamName,
+      inviterName: inviterName,
+      link: createLink("/teams/invitations"),
+    })
+  );
+}
+
+export async function sendAccountDeletion(
+  email,
+  name,
+  scheduledAt,
+  keepPublicTactons
+) {
+  return sendMail(
+    email,
+    templates.accountDeletion({
+      name: name,
+      date: new Date(scheduledAt).toUTCString(),
+      keepPublicTactons: keepPublicTactons,
+    })
+  );
+}
+
+export async function sendAccountDeletionFailed(email, name) {
+  return sendMail(email, templates.accountDeletionFailed({ name: name }));
+}
+
+// ---- helper functions ----
+function createTransport(options) {
+  switch (options.transport) {
+    case "smtp":
+      return createSmtpTransport(options.smtp);
+    case "file":
+      return createFileTransport({ directory: options.directory });
+    case "memory":
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown mail transport ${options.transport}`);
+  }
+}
+
+function createLink(path, query = {}) {
+  const url = new URL(path, config.mail.linkUrl);
+  Object.keys(query).forEach((key) => url.searchParams.set(key, query[key]));
+  return url.toString();
+}
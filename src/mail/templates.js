@@ -0,0 +1,126 @@
+/**
+ * Templates for all mails of the server.
+ * Every template returns the subject, a text and a HTML version of the mail.
+ * Values from users are escaped in the HTML version.
+ */
+export function emailConfirmation({ name, link, newAccount }) {
+  const intro = newAccount
+    ? "Welcome to TactJam! Please confirm your e-mail address to finish your registration."
+    : "Please confirm your new e-mail address for TactJam.";
+
+  return createMail({
+    subject: "Confirm your e-mail address",
+    name: name,
+    paragraphs: [
+      intro,
+      "The link is valid for 24 hours. If you didn't request this, you can ignore this mail.",
+    ],
+    link: { url: link, label: "Confirm e-mail address" },
+  });
+}
+
+export function passwordReset({ name, link, forced }) {
+  const paragraphs = forced
+    ? [
+        "An administrator reset the password of your TactJam account, you need to set a new password to login again.",
+        "The link is valid for 24 hours. Afterwards you can request a new link with the password reset of the login.",
+      ]
+    : [
+        "Someone requested to reset the password of your TactJam account.",
+        "The link is valid for 24 hours. If you didn't request this, you can ignore this mail and your password stays the same.",
+      ];
+
+  return createMail({
+    subject: "Reset your password",
+    name: name,
+    paragraphs: paragraphs,
+    link: { url: link, label: "Set a new password" },
+  });
+}
+
+export function emailChange({ name, newEmail }) {
+  return createMail({
+    subject: "Your e-mail address was changed",
+    name: name,
+    paragraphs: [
+      `The e-mail address of your TactJam account was changed to ${newEmail}.`,
+      "If you didn't do this, please reset your password and contact us.",
+    ],
+  });
+}
+
+export function teamInvitation({ name, teamName, inviterName, link }) {
+  return createMail({
+    subject: `You are invited to join the team ${teamName}`,
+    name: name,
+    paragraphs: [
+      `${inviterName} invited you to join the team ${teamName} on TactJam.`,
+      "You can accept or decline the invitation in your account.",
+    ],
+    link: { url: link, label: "Show invitations" },
+  });
+}
+
+export function accountDeletion({ name, date, keepPublicTactons }) {
+  const tactons = keepPublicTactons
+    ? "Your public tactons are kept under the name Former participant, your other tactons are deleted."
+    : "All your tactons are deleted with your account.";
+
+  return createMail({
+    subject: "Your account will be deleted",
+    name: name,
+    paragraphs: [
+      `You requested to delete your TactJam account, it will be deleted on ${date}.`,
+      tactons,
+      "Until then you can login and cancel the deletion. If you didn't request this, please cancel it and change your password.",
+    ],
+  });
+}
+
+export function accountDeletionFailed({ name }) {
+  return createMail({
+    subject: "Your account could not be deleted yet",
+    name: name,
+    paragraphs: [
+      "The deletion of your TactJam account failed several times, so your account still exists.",
+      "The administrators are informed and the deletion is tried again regularly. You can still cancel it in your account.",
+    ],
+  });
+}
+
+// ---- helper functions ----
+function createMail({ subject, name, paragraphs, link }) {
+  const greeting = `Hi ${name},`;
+
+  const text = [greeting, ...paragraphs];
+  if (link != null) {
+    text.push(`${link.label}: ${link.url}`);
+  }
+  text.push("Your TactJam team");
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+  ];
+  if (link != null) {
+    html.push(
+      `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`
+    );
+  }
+  html.push("<p>Your TactJam team</p>");
+
+  return {
+    subject: subject,
+    text: text.join("\n\n"),
+    html: `<!DOCTYPE html><html><body>${html.join("")}</body></html>`,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,24 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// saves every mail as JSON file, so it can be read during development
+export default function createFileTransport(options) {
+  const directory = path.resolve(options.directory);
+
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      // the date first, so the files are sorted
+      const fileName = `${new Date().toISOString()}-${message.to}.json`.replace(
+        /[^a-zA-Z0-9@._-]/g,
+        "_"
+      );
+      await fs.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  };
+}
@@ -0,0 +1,15 @@
+// keeps every mail in memory, for tests and local development
+export default function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages: messages,
+    async send(message) {
+      messages.push({ ...message, sentAt: new Date() });
+    },
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
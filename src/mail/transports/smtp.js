@@ -0,0 +1,21 @@
+import nodemailer from "nodemailer";
+
+// sends the mails with a SMTP server
+export default function createSmtpTransport(options) {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth:
+      options.user != null
+        ? { user: options.user, pass: options.password }
+        : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+}
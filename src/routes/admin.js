@@ -0,0 +1,1062 @@
+import Router from "koa-router";
+import validator from "validator";
+import koaBody from "koa-body";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { banUser, isBanned, unbanUser } from "../auth/bans.js";
+import { forcePasswordReset } from "../auth/passwordResets.js";
+import {
+  getPermissions,
+  getUserRoles,
+  permissions,
+  roles,
+} from "../auth/roles.js";
+import { audit, auditEventTypes, pick } from "../audit/index.js";
+import dbServer from "../database/dbServer.js";
+import {
+  appendQuery,
+  decodeCursor,
+  encodeCursor,
+  getConditionQuery,
+  getCursorCondition,
+  getTotalCount,
+  maxLimit,
+  quoteValue,
+  setPaginationHeaders,
+} from "../database/pagination.js";
+
+const router = new Router({ prefix: "/admin" });
+
+// values of a ban in the audit log
+const banFields = ["banned", "banned_until", "ban_reason"];
+
+// every column besides the password and the two-factor secret
+const userSelect =
+  "id,username,name,email,created_at,last_login_at,team_id,banned,banned_at,banned_until,ban_reason,banned_by,admin,roles,totp_enabled,password_reset_required";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     "UserRoles":
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [admin, moderator, facilitator, member, guest]
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *
+ * /admin/roles:
+ *    get:
+ *      description: >
+ *        Lists the roles with their permissions.
+ *        Admins have every permission, members can create tactons, tags, layouts and teams,
+ *        guests can only use their own account.
+ *      summary: Get roles and permissions
+ *      operationId: getRoles
+ *      tags:
+ *        - admin
+ *      parameters: []
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The permission matrix
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  permissions:
+ *                    type: array
+ *                    items:
+ *                      type: string
+ *                  roles:
+ *                    type: object
+ *                    additionalProperties:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/roles",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const matrix = {};
+    roles.forEach((role) => {
+      matrix[role] = getPermissions([role]);
+    });
+
+    ctx.body = { permissions: permissions, roles: matrix };
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/roles:
+ *    get:
+ *      description: Get the roles and permissions of a user
+ *      summary: Get roles of a user
+ *      operationId: getUserRoles
+ *      tags:
+ *        - admin
+ *      parameters:
+ *      - in: path
+ *        name: userId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the user
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The roles of the user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/UserRoles"
+ *        400:
+ *          description: Invalid id
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/users/:id/roles",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const user = await getUser(ctx, ctx.params.id);
+    ctx.body = createRolesResponse(user);
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/roles/{role}:
+ *    post:
+ *      description: >
+ *        Assigns a role to a user. The admin role is the admin flag of the user,
+ *        if two-factor authentication is required for admins, the user needs to enroll first.
+ *      summary: Assign a role
+ *      operationId: addUserRole
+ *      tags:
+ *        - admin
+ *      requestBody: []
+ *      parameters:
+ *      - in: path
+ *        name: userId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the user
+ *      - in: path
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, moderator, facilitator, member, guest]
+ *        required: true
+ *        description: The role
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The new roles of the user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/UserRoles"
+ *        400:
+ *          description: Invalid id or role
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/users/:id/roles/:role",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const role = validateRole(ctx, ctx.params.role);
+    const user = await getUser(ctx, ctx.params.id);
+    ctx.body = createRolesResponse(await addRole(ctx, user, role));
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/roles/{role}:
+ *    delete:
+ *      description: >
+ *        Removes a role of a user. Every user keeps at least one role besides admin
+ *        and you can't remove your own admin role.
+ *      summary: Remove a role
+ *      operationId: deleteUserRole
+ *      tags:
+ *        - admin
+ *      parameters:
+ *      - in: path
+ *        name: userId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the user
+ *      - in: path
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, moderator, facilitator, member, guest]
+ *        required: true
+ *        description: The role
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The new roles of the user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/UserRoles"
+ *        400:
+ *          description: Invalid id or role, or the last role
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/users/:id/roles/:role",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const role = validateRole(ctx, ctx.params.role);
+    const user = await getUser(ctx, ctx.params.id);
+    ctx.body = createRolesResponse(await removeRole(ctx, user, role));
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     "AdminUser":
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         username:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         teamId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *         lastLoginAt:
+ *           type: string
+ *           nullable: true
+ *         twoFactorEnabled:
+ *           type: boolean
+ *         passwordResetRequired:
+ *           type: boolean
+ *         banned:
+ *           type: boolean
+ *           description: The user is banned right now, ended bans are false
+ *         ban:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             reason:
+ *               type: string
+ *             bannedAt:
+ *               type: string
+ *             until:
+ *               type: string
+ *               nullable: true
+ *             bannedBy:
+ *               type: string
+ *               format: uuid
+ *               nullable: true
+ *   parameters:
+ *     adminUserId:
+ *       in: path
+ *       name: userId
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       required: true
+ *       description: Unique id of the user
+ *
+ * /admin/users:
+ *    get:
+ *      description: >
+ *        Get a page of users, sorted by the username.
+ *        Use the cursor from the header "X-Next-Cursor" to get the next page.
+ *        Needs the permission users:view (admins and moderators).
+ *      summary: Get users
+ *      operationId: getAdminUsers
+ *      tags:
+ *        - admin
+ *      parameters:
+ *      - in: query
+ *        name: search
+ *        schema:
+ *          type: string
+ *        description: part of the username, name or e-mail
+ *      - in: query
+ *        name: banned
+ *        schema:
+ *          type: boolean
+ *        description: only banned or not banned users
+ *      - in: query
+ *        name: role
+ *        schema:
+ *          type: string
+ *          enum: [admin, moderator, facilitator, member, guest]
+ *        description: only users with the role
+ *      - in: query
+ *        name: after
+ *        schema:
+ *          type: string
+ *        description: cursor from the header "X-Next-Cursor" of the previous page
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: number
+ *          format: int32
+ *          minimum: 1
+ *          maximum: 100
+ *          default: 50
+ *        description: maximum number of users
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The users of the page
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/AdminUser"
+ *        400:
+ *          description: Invalid query
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/users",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:view" }),
+  async (ctx) => {
+    const page = await getUserList(ctx);
+    setPaginationHeaders(ctx, page);
+
+    ctx.body = page.data.map((user) => createAdminUserResponse(user));
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/ban:
+ *    post:
+ *      description: >
+ *        Bans a user, the user is logged out and can't login until the ban ends or is lifted.
+ *        Without an end the ban is permanent, banning a banned user replaces the ban.
+ *        Only admins can ban admins. Needs the permission users:ban (admins and moderators).
+ *      summary: Ban a user
+ *      operationId: banUser
+ *      tags:
+ *        - admin
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the reason and the optional end of the ban
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                reason:
+ *                  type: string
+ *                until:
+ *                  type: string
+ *                  format: date-time
+ *              required:
+ *                - reason
+ *      parameters:
+ *      - $ref: "#/components/parameters/adminUserId"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The banned user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/AdminUser"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/users/:id/ban",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:ban" }),
+  koaBody(),
+  async (ctx) => {
+    const reason = ctx.request.body.reason;
+    const until = ctx.request.body.until;
+
+    if (
+      typeof reason !== "string" ||
+      !validator.isLength(reason.trim(), { min: 1, max: 500 })
+    ) {
+      ctx.throw(400, "Invalid reason (1 to 500 characters)");
+    }
+    let untilDate = null;
+    if (until != null) {
+      if (typeof until !== "string" || !validator.isISO8601(until)) {
+        ctx.throw(400, "Invalid until (ISO 8601 date)");
+      }
+      untilDate = new Date(until);
+      if (untilDate <= new Date()) {
+        ctx.throw(400, "The end of the ban has to be in the future");
+      }
+    }
+
+    const user = await getUser(ctx, ctx.params.id);
+    if (user.id === ctx.state.user.id) {
+      ctx.throw(400, "You can't ban yourself");
+    }
+    if (user.admin && !ctx.state.user.admin) {
+      ctx.throw(401, "Only admins can ban admins");
+    }
+
+    const bannedUser = await banUser(
+      user.id,
+      ctx.state.user.id,
+      reason.trim(),
+      untilDate
+    );
+    await audit(ctx, "admin.ban", {
+      targetId: user.id,
+      before: pick(user, banFields),
+      after: pick(bannedUser, banFields),
+    });
+    ctx.body = createAdminUserResponse(bannedUser);
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/unban:
+ *    post:
+ *      description: Lifts the ban of a user. Needs the permission users:ban (admins and moderators).
+ *      summary: Unban a user
+ *      operationId: unbanUser
+ *      tags:
+ *        - admin
+ *      requestBody: []
+ *      parameters:
+ *      - $ref: "#/components/parameters/adminUserId"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/AdminUser"
+ *        400:
+ *          description: Invalid id
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/users/:id/unban",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:ban" }),
+  async (ctx) => {
+    const user = await getUser(ctx, ctx.params.id);
+    const unbannedUser = await unbanUser(user.id);
+    await audit(ctx, "admin.unban", {
+      targetId: user.id,
+      before: pick(user, banFields),
+      after: pick(unbannedUser, banFields),
+    });
+
+    ctx.body = createAdminUserResponse(unbannedUser);
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/promote:
+ *    post:
+ *      description: >
+ *        Makes a user an admin, the same as assigning the admin role.
+ *        Needs the permission users:roles (admins).
+ *      summary: Promote a user to admin
+ *      operationId: promoteUser
+ *      tags:
+ *        - admin
+ *      requestBody: []
+ *      parameters:
+ *      - $ref: "#/components/parameters/adminUserId"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/AdminUser"
+ *        400:
+ *          description: Invalid id
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/users/:id/promote",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const user = await getUser(ctx, ctx.params.id);
+    ctx.body = createAdminUserResponse(await addRole(ctx, user, "admin"));
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/demote:
+ *    post:
+ *      description: >
+ *        Removes the admin role of a user, you can't demote yourself.
+ *        Needs the permission users:roles (admins).
+ *      summary: Demote an admin
+ *      operationId: demoteUser
+ *      tags:
+ *        - admin
+ *      requestBody: []
+ *      parameters:
+ *      - $ref: "#/components/parameters/adminUserId"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The user
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/AdminUser"
+ *        400:
+ *          description: Invalid id or your own account
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/users/:id/demote",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:roles" }),
+  async (ctx) => {
+    const user = await getUser(ctx, ctx.params.id);
+    ctx.body = createAdminUserResponse(await removeRole(ctx, user, "admin"));
+  }
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/password-reset:
+ *    post:
+ *      description: >
+ *        Forces a password reset, for example if the password is known by others.
+ *        The user is logged out, personal access tokens stop working and the login is blocked
+ *        until the user sets a new password with the link of the mail.
+ *        Needs the permission users:edit (admins).
+ *      summary: Force a password reset
+ *      operationId: forcePasswordReset
+ *      tags:
+ *        - admin
+ *      requestBody: []
+ *      parameters:
+ *      - $ref: "#/components/parameters/adminUserId"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        204:
+ *          description: The mail was sent
+ *        400:
+ *          description: Invalid id
+ *        401:
+ *          description: Authentication Error
+ *        503:
+ *          description: The mail could not be sent, nothing was changed
+ */
+router.post(
+  "/users/:id/password-reset",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "users:edit" }),
+  async (ctx) => {
+    const user = await getUser(ctx, ctx.params.id);
+    if (!(await forcePasswordReset(user))) {
+      ctx.throw(503, "The mail could not be sent, please try again later");
+    }
+    await audit(ctx, "admin.password_reset", { targetId: user.id });
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     "AuditEvent":
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         type:
+ *           type: string
+ *           description: For example tacton.delete, admin.ban or auth.login_failed
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: The user who did the action, null for anonymous requests or deleted users
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *             name:
+ *               type: string
+ *         targetType:
+ *           type: string
+ *           enum: [user, team, tag, bodytag, layout, tacton, setting]
+ *         targetId:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             The changed values as {"field": {"before": ..., "after": ...}},
+ *             secrets like passwords are redacted
+ *         details:
+ *           type: object
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *
+ * /admin/audit:
+ *    get:
+ *      description: >
+ *        Get a page of the audit log, the latest event first.
+ *        Use the cursor from the header "X-Next-Cursor" to get the next page.
+ *        Needs the permission audit:view (admins).
+ *      summary: Get the audit log
+ *      operationId: getAuditLog
+ *      tags:
+ *        - admin
+ *      parameters:
+ *      - in: query
+ *        name: type
+ *        schema:
+ *          type: string
+ *        description: >
+ *          comma separated event types (tacton.delete) or categories (tacton),
+ *          the categories are auth, user, admin, team, tag, bodytag, layout and tacton
+ *      - in: query
+ *        name: actor
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        description: only events of this user
+ *      - in: query
+ *        name: targetType
+ *        schema:
+ *          type: string
+ *          enum: [user, team, tag, bodytag, layout, tacton, setting]
+ *        description: only events of this kind of target
+ *      - in: query
+ *        name: targetId
+ *        schema:
+ *          type: string
+ *        description: only events of this target
+ *      - in: query
+ *        name: from
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: only events at or after this date
+ *      - in: query
+ *        name: to
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: only events before this date
+ *      - in: query
+ *        name: after
+ *        schema:
+ *          type: string
+ *        description: cursor from the header "X-Next-Cursor" of the previous page
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: number
+ *          format: int32
+ *          minimum: 1
+ *          maximum: 100
+ *          default: 50
+ *        description: maximum number of events
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The events of the page
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/AuditEvent"
+ *        400:
+ *          description: Invalid query
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/audit",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "audit:view" }),
+  async (ctx) => {
+    const page = await getAuditList(ctx);
+    setPaginationHeaders(ctx, page);
+
+    ctx.body = page.data.map((event) => ({
+      id: event.id,
+      type: event.type,
+      actor: event.actor,
+      targetType: event.target_type,
+      targetId: event.target_id,
+      ip: event.ip,
+      changes: event.changes,
+      details: event.details,
+      createdAt: event.created_at,
+    }));
+  }
+);
+
+// export router object
+export default router;
+
+// ---- helper functions ----
+async function getUserList(ctx) {
+  const query = ctx.query;
+  const limit = query.limit != null ? query.limit : "50";
+  if (!validator.isInt(limit, { min: 1, max: maxLimit })) {
+    ctx.throw(400, `Invalid limit (min: 1, max: ${maxLimit})`);
+  }
+
+  const filters = [];
+  if (query.search != null && query.search !== "") {
+    const term = encodeURIComponent(quoteValue(`*${query.search}*`));
+    filters.push(
+      `or(username.ilike.${term},name.ilike.${term},email.ilike.${term})`
+    );
+  }
+  if (query.banned != null) {
+    if (query.banned !== "true" && query.banned !== "false") {
+      ctx.throw(400, "Invalid banned (true or false)");
+    }
+    // ended bans count as not banned
+    const now = encodeURIComponent(quoteValue(new Date().toISOString()));
+    const bannedCondition = `banned.is.true,or(banned_until.is.null,banned_until.gt.${now})`;
+    filters.push(
+      query.banned === "true"
+        ? `and(${bannedCondition})`
+        : `not.and(${bannedCondition})`
+    );
+  }
+  if (query.role != null) {
+    validateRole(ctx, query.role);
+    filters.push(
+      query.role === "admin"
+        ? "admin.is.true"
+        : `roles.cs.${encodeURIComponent(`{${query.role}}`)}`
+    );
+  }
+
+  // the total count does not depend on the cursor
+  const total = await getTotalCount("/users", getConditionQuery(filters));
+
+  if (query.after != null) {
+    const cursor = decodeCursor(query.after, "string");
+    if (cursor == null) {
+      ctx.throw(400, "Invalid cursor");
+    }
+    filters.push(getCursorCondition(cursor, "username", true));
+  }
+
+  // get one more entry than needed, so we know if there is a next page
+  const response = await dbServer.get(
+    appendQuery("/users", [
+      getConditionQuery(filters),
+      `select=${userSelect}`,
+      "order=username.asc,id.asc",
+      `limit=${parseInt(limit) + 1}`,
+    ])
+  );
+
+  const data = response.data.slice(0, parseInt(limit));
+  let next = null;
+  if (response.data.length > data.length) {
+    const last = data[data.length - 1];
+    next = encodeCursor(last.username, last.id);
+  }
+
+  return { data: data, next: next, total: total };
+}
+
+async function getAuditList(ctx) {
+  const query = ctx.query;
+  const limit = query.limit != null ? query.limit : "50";
+  if (!validator.isInt(limit, { min: 1, max: maxLimit })) {
+    ctx.throw(400, `Invalid limit (min: 1, max: ${maxLimit})`);
+  }
+
+  const filters = [];
+  if (query.type != null) {
+    // a category is the part of the types before the dot
+    const types = Object.keys(auditEventTypes);
+    const typeConditions = query.type.split(",").map((type) => {
+      if (types.includes(type)) {
+        return `type.eq.${type}`;
+      }
+      if (types.some((x) => x.startsWith(`${type}.`))) {
+        return `type.like.${type}.*`;
+      }
+      return ctx.throw(400, `Invalid type ${type}`);
+    });
+    filters.push(`or(${typeConditions.join()})`);
+  }
+  if (query.actor != null) {
+    if (!validator.isUUID(query.actor)) {
+      ctx.throw(400, "Invalid actor");
+    }
+    filters.push(`actor_id.eq.${query.actor}`);
+  }
+  if (query.targetType != null) {
+    if (!Object.values(auditEventTypes).includes(query.targetType)) {
+      ctx.throw(400, "Invalid targetType");
+    }
+    filters.push(`target_type.eq.${query.targetType}`);
+  }
+  if (query.targetId != null) {
+    filters.push(
+      `target_id.eq.${encodeURIComponent(quoteValue(query.targetId))}`
+    );
+  }
+  if (query.from != null) {
+    if (!validator.isISO8601(query.from)) {
+      ctx.throw(400, "Invalid from (ISO 8601 date)");
+    }
+    filters.push(
+      `created_at.gte.${encodeURIComponent(quoteValue(query.from))}`
+    );
+  }
+  if (query.to != null) {
+    if (!validator.isISO8601(query.to)) {
+      ctx.throw(400, "Invalid to (ISO 8601 date)");
+    }
+    filters.push(`created_at.lt.${encodeURIComponent(quoteValue(query.to))}`);
+  }
+
+  // the total count does not depend on the cursor
+  const total = await getTotalCount(
+    "/audit_events",
+    getConditionQuery(filters)
+  );
+
+  if (query.after != null) {
+    const cursor = decodeCursor(query.after, "date", "integer");
+    if (cursor == null) {
+      ctx.throw(400, "Invalid cursor");
+    }
+    filters.push(getCursorCondition(cursor, "created_at", false));
+  }
+
+  // get one more entry than needed, so we know if there is a next page
+  const response = await dbServer.get(
+    appendQuery("/audit_events", [
+      getConditionQuery(filters),
+      "select=*,actor:users(id,username,name)",
+      "order=created_at.desc,id.desc",
+      `limit=${parseInt(limit) + 1}`,
+    ])
+  );
+
+  const data = response.data.slice(0, parseInt(limit));
+  let next = null;
+  if (response.data.length > data.length) {
+    const last = data[data.length - 1];
+    next = encodeCursor(last.created_at, last.id);
+  }
+
+  return { data: data, next: next, total: total };
+}
+
+function createAdminUserResponse(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    roles: getUserRoles(user),
+    teamId: user.team_id,
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at,
+    twoFactorEnabled: user.totp_enabled,
+    passwordResetRequired: user.password_reset_required,
+    banned: isBanned(user),
+    ban: user.banned
+      ? {
+          reason: user.ban_reason,
+          bannedAt: user.banned_at,
+          until: user.banned_until,
+          bannedBy: user.banned_by,
+        }
+      : null,
+  };
+}
+
+function validateRole(ctx, role) {
+  if (!roles.includes(role)) {
+    ctx.throw(400, `Invalid role (${roles.join(", ")})`);
+  }
+  return role;
+}
+
+async function getUser(ctx, id) {
+  if (!validator.isUUID(id)) {
+    ctx.throw(400, "Invalid id");
+  }
+
+  const response = await dbServer.get(`/users?id=eq.${id}`);
+  if (response.data.length !== 1) {
+    ctx.throw(400, "Invalid id");
+  }
+  return response.data[0];
+}
+
+async function addRole(ctx, user, role) {
+  let updatedUser = user;
+  if (role === "admin") {
+    updatedUser = await updateUser(user, { admin: true });
+  } else if (!user.roles.includes(role)) {
+    updatedUser = await updateUser(user, { roles: [...user.roles, role] });
+  }
+
+  await auditRoleChange(ctx, "admin.role_added", user, updatedUser);
+  return updatedUser;
+}
+
+async function removeRole(ctx, user, role) {
+  let updatedUser = user;
+  if (role === "admin") {
+    // otherwise nobody could be left to manage the roles
+    if (user.id === ctx.state.user.id) {
+      ctx.throw(400, "You can't remove your own admin role");
+    }
+    updatedUser = await updateUser(user, { admin: false });
+  } else if (user.roles.includes(role)) {
+    if (user.roles.length === 1) {
+      ctx.throw(400, "The user needs at least one role");
+    }
+    updatedUser = await updateUser(user, {
+      roles: user.roles.filter((x) => x !== role),
+    });
+  }
+
+  await auditRoleChange(ctx, "admin.role_removed", user, updatedUser);
+  return updatedUser;
+}
+
+// only real changes are logged, not assigning a role the user already has
+async function auditRoleChange(ctx, type, user, updatedUser) {
+  const before = getUserRoles(user);
+  const after = getUserRoles(updatedUser);
+  if (before.join() === after.join()) {
+    return;
+  }
+
+  await audit(ctx, type, {
+    targetId: user.id,
+    before: { roles: before },
+    after: { roles: after },
+  });
+}
+
+async function updateUser(user, patchObj) {
+  const response = await dbServer.patch(`/users?id=eq.${user.id}`, patchObj, {
+    headers: { Prefer: "return=representation" },
+  });
+  return response.data[0];
+}
+
+function createRolesResponse(user) {
+  const userRoles = getUserRoles(user);
+  return {
+    id: user.id,
+    roles: userRoles,
+    permissions: getPermissions(userRoles),
+  };
+}
@@ -1,18 +1,38 @@
 import Router from "koa-router";
 import koaBody from "koa-body";
 import validator from "validator";
-import jwt from "jsonwebtoken";
-import jwtAuth from "koa-jwt";
-import { v4 as uuidv4 } from "uuid";
-import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import jwtAuthOptions, {
+  optionalJwtAuthOptions,
+} from "../auth/jwtAuthOptions.js";
 import dbServer from "../database/dbServer.js";
 import { compareHash, generateHash } from "../auth/password.js";
-import { getJwtOptions } from "../auth/jwtOptions.js";
-import { getCookeOptions } from "../auth/cookieOptions.js";
-import getTomorrow from "../helper/getTomorrow.js";
-// import { sendPasswordReset } from "..."; // TODO
+import { validatePassword } from "../auth/passwordPolicy.js";
+import {
+  clearSessionCookies,
+  createSession,
+  endSession,
+  getSessions,
+  refreshSession,
+  revokeSession,
+  revokeSessions,
+} from "../auth/sessions.js";
+import { createPasswordReset } from "../auth/passwordResets.js";
+import { getBanMessage, isBanned } from "../auth/bans.js";
 import { getExpirationDate } from "../auth/expiration.js";
+import {
+  checkThrottle,
+  getThrottleKeys,
+  registerAttempt,
+  resetThrottle,
+} from "../throttle/index.js";
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+} from "../auth/twoFactor.js";
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
+import { audit } from "../audit/index.js";
 
 const router = new Router({ prefix: "/auth" });
 
@@ -38,6 +58,39 @@ const router = new Router({ prefix: "/auth" });
  *           type: string
  *         expires:
  *           type: string
+ *           description: The jwt expires at this date, renew it before
+ *         sessionExpires:
+ *           type: string
+ *           description: The session ends at this date, after this a new login is needed
+ *     "TwoFactorChallenge":
+ *       type: object
+ *       properties:
+ *         twoFactorRequired:
+ *           type: boolean
+ *         challenge:
+ *           type: string
+ *           description: Send it with the code to /auth/login/2fa within 5 minutes
+ *     "Session":
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *         lastUsedAt:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *         current:
+ *           type: boolean
+ *           description: The session of the request
  */
 
 /**
@@ -66,8 +119,11 @@ const router = new Router({ prefix: "/auth" });
  *      responses:
  *        200:
  *          description: >
- *            Successfully authenticated.
- *            The JWT is returned in a signed and secure cookie called "jwt".
+ *            Successfully authenticated, a new session is created.
+ *            With two-factor authentication no session is created,
+ *            but a challenge is returned for /auth/login/2fa instead.
+ *            The short-lived JWT is returned in a signed and secure cookie called "jwt",
+ *            the refresh token of the session in a cookie called "refresh" (see /auth/renew).
  *            A name and expires date is provided for setting a frontend cookie
  *          headers:
  *            Set-Cookie:
@@ -76,7 +132,16 @@ const router = new Router({ prefix: "/auth" });
  *          content:
  *            application/json:
  *              schema:
- *                $ref: "#/components/schemas/LoginData"
+ *                oneOf:
+ *                  - $ref: "#/components/schemas/LoginData"
+ *                  - $ref: "#/components/schemas/TwoFactorChallenge"
+ *        401:
+ *          description: >
+ *            Invalid login, suspended account or the e-mail address is not confirmed.
+ *            Unconfirmed addresses can request a new mail with /user/email/resend.
+ *            After a forced password reset the new password has to be set with the link of the mail.
+ *        429:
+ *          description: Too many attempts, wait the seconds of the Retry-After header
  */
 router.post("/login", koaBody(), async (ctx) => {
   // validate login / password
@@ -95,25 +160,36 @@ router.post("/login", koaBody(), async (ctx) => {
 
   // search for the user in the database
   const response = await dbServer.get(
-    "/users?" + queryParam + "=eq." + ctx.request.body.login.toLowerCase()
+    "/users?" +
+      queryParam +
+      "=eq." +
+      encodeURIComponent(ctx.request.body.login.toLowerCase())
   );
 
+  // failed attempts are counted per IP address and per account,
+  // unknown logins only per IP address, since the client could choose any number of keys
+  const user = response.data.length > 0 ? response.data[0] : null;
+  const throttleKeys = getThrottleKeys(
+    "login",
+    ctx.ip,
+    user != null ? user.id : null
+  );
+  await checkThrottle(ctx, throttleKeys);
+
   // we dont found a user in our database
-  if (response.data.length < 1) {
+  if (user == null) {
+    await registerAttempt(throttleKeys);
+    await audit(ctx, "auth.login_failed", {
+      details: { login: ctx.request.body.login.toLowerCase() },
+    });
     ctx.throw(401, "Invalid combination of login and password");
   }
 
-  // we found at least one!
-  const user = response.data[0];
-
   // check if the user is banned
-  if (user.banned) {
-    ctx.throw(401, "Account suspended");
+  if (isBanned(user)) {
+    ctx.throw(401, getBanMessage(user));
   }
 
-  // TODO future
-  // check if the email is confirmed here
-
   // compare password
   const validPassword = await compareHash(
     ctx.request.body.password,
@@ -123,9 +199,24 @@ router.post("/login", koaBody(), async (ctx) => {
   // check is the password is valid
   if (!validPassword.valid) {
     // password/combination is not valid
+    await registerAttempt(throttleKeys);
+    await audit(ctx, "auth.login_failed", { targetId: user.id });
     ctx.throw(401, "Invalid combination of login and password");
   }
 
+  // only the attempts of the account are forgotten, not the ones of the IP address
+  await resetThrottle(throttleKeys.slice(1));
+
+  // the user needs to confirm the e-mail address first
+  if (!(await hasConfirmedEmail(user.id))) {
+    ctx.throw(401, "E-Mail address not confirmed");
+  }
+
+  // after a forced password reset the new password has to be set first
+  if (user.password_reset_required) {
+    ctx.throw(401, "Password reset required, please check your e-mails");
+  }
+
   // password is valid, check if we need to update
   if (validPassword.newHash != null) {
     const hashString = validPassword.newHash.toString("hex");
@@ -134,23 +225,150 @@ router.post("/login", koaBody(), async (ctx) => {
     });
   }
 
+  // with two-factor authentication the login needs the code as second step
+  if (user.totp_enabled) {
+    ctx.body = {
+      twoFactorRequired: true,
+      challenge: createLoginChallenge(user.id),
+    };
+    return;
+  }
+
   // update last login
   await updateLastLogin(user.id);
 
-  // set jwt and cookie
-  await setJwtAndCookie(ctx, user.id);
+  // create the session, sets the jwt and refresh cookies
+  const session = await createSession(ctx, user.id);
+  await audit(ctx, "auth.login", {
+    actorId: user.id,
+    targetId: user.id,
+    details: { sessionId: session.id, twoFactor: user.totp_enabled },
+  });
 
-  const expiresDate = new Date(getExpirationDate());
+  // return name and date for frontend
+  ctx.body = createLoginData(user, session);
+});
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *    post:
+ *      description: >
+ *        Second step of the login with two-factor authentication.
+ *        Use the challenge of /auth/login with a code of the authenticator app or a recovery code.
+ *        Every recovery code can be used only once.
+ *      summary: Logs in with the second factor and returns the authentication cookie
+ *      operationId: loginTwoFactor
+ *      tags:
+ *        - auth
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the challenge and a code or recovery code.
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                challenge:
+ *                  type: string
+ *                code:
+ *                  type: string
+ *                  description: 6 digits of the authenticator app
+ *                recoveryCode:
+ *                  type: string
+ *              required:
+ *                - challenge
+ *            example:
+ *              challenge: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *              code: "123456"
+ *      produces:
+ *        - application/json
+ *      parameters: []
+ *      security: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Successfully authenticated, a new session is created (see /auth/login).
+ *          headers:
+ *            Set-Cookie:
+ *              schema:
+ *                type: string
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/LoginData"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Invalid or expired challenge or invalid code
+ *        429:
+ *          description: Too many attempts, wait the seconds of the Retry-After header
+ */
+router.post("/login/2fa", koaBody(), async (ctx) => {
+  const challenge = ctx.request.body.challenge;
+  const code = ctx.request.body.code;
+  const recoveryCode = ctx.request.body.recoveryCode;
+
+  // check input
+  if (challenge == null || (code == null && recoveryCode == null)) {
+    ctx.throw(400, "missing body parameters");
+  }
+
+  // the challenge contains the user, the password was already checked
+  const userId = verifyLoginChallenge(challenge);
+  if (userId == null) {
+    ctx.throw(401, "Invalid or expired challenge, please login again");
+  }
+
+  const response = await dbServer.get(`/users?id=eq.${userId}`);
+  if (response.data.length !== 1) {
+    ctx.throw(401, "Invalid or expired challenge, please login again");
+  }
+  const user = response.data[0];
+
+  // check if the user got banned in the meantime
+  if (isBanned(user)) {
+    ctx.throw(401, getBanMessage(user));
+  }
+
+  // failed codes are counted like failed passwords
+  const throttleKeys = getThrottleKeys("login2fa", ctx.ip, user.id);
+  await checkThrottle(ctx, throttleKeys);
+
+  // check the code of the app or the recovery code
+  if (
+    !user.totp_enabled ||
+    !(await verifySecondFactor(user, code, recoveryCode))
+  ) {
+    await registerAttempt(throttleKeys);
+    await audit(ctx, "auth.login_failed", {
+      targetId: user.id,
+      details: { twoFactor: true },
+    });
+    ctx.throw(401, "Invalid code");
+  }
+  await resetThrottle(throttleKeys.slice(1));
+
+  // update last login
+  await updateLastLogin(user.id);
+
+  // create the session, sets the jwt and refresh cookies
+  const session = await createSession(ctx, user.id);
+  await audit(ctx, "auth.login", {
+    actorId: user.id,
+    targetId: user.id,
+    details: { sessionId: session.id, twoFactor: user.totp_enabled },
+  });
 
   // return name and date for frontend
-  ctx.body = { name: user.name, expires: expiresDate };
+  ctx.body = createLoginData(user, session);
 });
 
 /**
  * @swagger
  * /auth/logout:
  *    post:
- *      description: Use to logout
+ *      description: Use to logout, the session of the device is revoked
  *      summary: Logs out and deletes signed cookie
  *      operationId: logout
  *      tags:
@@ -163,16 +381,18 @@ router.post("/login", koaBody(), async (ctx) => {
  *        200:
  *          description: >
  *            Successfully logged out.
- *            The cookie with the name "jwt" is deleted.
+ *            The cookies with the name "jwt" and "refresh" are deleted.
  *          headers:
  *            Set-Cookie:
  *              schema:
  *                type: string
  */
-router.post("/logout", jwtAuth(jwtAuthOptions), async (ctx) => {
-  // user logout means we gonna "clear" the cookies
-  ctx.cookies.set("jwt", {}, { expires: new Date() });
-  ctx.cookies.set("user", {}, { expires: new Date() });
+router.post("/logout", jwtAuth(optionalJwtAuthOptions), async (ctx) => {
+  // revoke the session and "clear" the cookies, works with an expired jwt as well
+  await endSession(ctx);
+  if (ctx.state.user != null) {
+    await audit(ctx, "auth.logout", { targetId: ctx.state.user.id });
+  }
 
   // give the user the response
   ctx.status = 200;
@@ -182,21 +402,22 @@ router.post("/logout", jwtAuth(jwtAuthOptions), async (ctx) => {
  * @swagger
  * /auth/renew:
  *    post:
- *      description: Use to renew the cookie and jwt for user authentication
- *      summary: Generates a new cookie valid for 24h.
+ *      description: >
+ *        Use to renew the jwt for user authentication with the refresh token (cookie "refresh").
+ *        The refresh token can be used only once, a new one is set with every renew.
+ *        Renewing does not extend the session, after it ends a new login is needed.
+ *      summary: Generates a new jwt and refresh token.
  *      operationId: renew
  *      tags:
  *        - auth
  *      requestBody: []
  *      parameters: []
- *      security:
- *      - cookieAuth: []
+ *      security: []
  *      responses:
  *        200:
  *          description: >
- *            Successfully extended duration of the cookie.
- *            The cookie with the name "jwt" is set.
- *            A frontend cookie called "user" is set for interaction, it only contains the name.
+ *            Successfully renewed.
+ *            The cookies with the name "jwt" and "refresh" are set.
  *          headers:
  *            Set-Cookie:
  *              schema:
@@ -205,22 +426,162 @@ router.post("/logout", jwtAuth(jwtAuthOptions), async (ctx) => {
  *            application/json:
  *              schema:
  *                $ref: "#/components/schemas/LoginData"
+ *        401:
+ *          description: The refresh token is invalid, reused or the session ended
  */
-router.post("/renew", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  const id = ctx.state.user.id;
-  // update last login
-  await updateLastLogin(id);
+router.post("/renew", async (ctx) => {
+  const session = await refreshSession(ctx);
+  if (session == null) {
+    clearSessionCookies(ctx);
+    ctx.throw(401, "Invalid session, please login again");
+  }
 
-  // set jwt and cookie
-  await setJwtAndCookie(ctx, id);
+  // the user could be banned or deleted in the meantime
+  const response = await dbServer.get(`/users?id=eq.${session.user_id}`);
+  if (response.data.length !== 1 || isBanned(response.data[0])) {
+    await endSession(ctx);
+    ctx.throw(401, "Invalid session, please login again");
+  }
+  const user = response.data[0];
 
-  // set frontend cookie
-  const expiresDate = new Date(getExpirationDate());
+  // update last login
+  await updateLastLogin(user.id);
 
   // return name and new date to the user
-  ctx.body = { name: ctx.state.user.name, expires: expiresDate };
+  ctx.body = createLoginData(user, session);
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *    get:
+ *      description: Lists the active sessions (logged in devices) of the user
+ *      summary: Get your sessions
+ *      operationId: getSessions
+ *      tags:
+ *        - auth
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The sessions, the latest used first
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/Session"
+ *        401:
+ *          description: Authentication Error
+ */
+router.get("/sessions", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const sessions = await getSessions(ctx.state.user.id);
+  ctx.body = sessions.map((session) =>
+    createSessionResponse(session, ctx.state.user.sessionId)
+  );
 });
 
+/**
+ * @swagger
+ * /auth/sessions:
+ *    delete:
+ *      description: >
+ *        Revokes all sessions of the user, every device needs to login again.
+ *        With keepCurrent=true the session of the request stays active.
+ *      summary: Revoke all sessions
+ *      operationId: deleteSessions
+ *      tags:
+ *        - auth
+ *      parameters:
+ *      - in: query
+ *        name: keepCurrent
+ *        schema:
+ *          type: boolean
+ *        required: false
+ *        description: Keep the session of the request
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully revoked the sessions
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/sessions",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const keepCurrent = ctx.query.keepCurrent === "true";
+    if (keepCurrent) {
+      await revokeSessions(ctx.state.user.id, ctx.state.user.sessionId);
+    } else {
+      await revokeSessions(ctx.state.user.id);
+      clearSessionCookies(ctx);
+    }
+    await audit(ctx, "auth.sessions_revoked", {
+      targetId: ctx.state.user.id,
+      details: { keepCurrent: keepCurrent },
+    });
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /auth/sessions/{sessionId}:
+ *    delete:
+ *      description: Revokes one of your sessions, the device needs to login again
+ *      summary: Revoke a session
+ *      operationId: deleteSession
+ *      tags:
+ *        - auth
+ *      parameters:
+ *      - in: path
+ *        name: sessionId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique ID of the session
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully revoked the session
+ *        400:
+ *          description: Invalid request, no session found
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/sessions/:id",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    const revoked = await revokeSession(ctx.state.user.id, id);
+    if (!revoked) {
+      ctx.throw(400, "No session found");
+    }
+    await audit(ctx, "auth.sessions_revoked", {
+      targetId: ctx.state.user.id,
+      details: { sessionId: id },
+    });
+
+    // the device of the request is logged out
+    if (id === ctx.state.user.sessionId) {
+      clearSessionCookies(ctx);
+    }
+    ctx.status = 204;
+  }
+);
+
 /**
  * @swagger
  * /auth/forgot:
@@ -252,6 +613,8 @@ router.post("/renew", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
  *        200:
  *          description: >
  *            An E-Mail was send to the provided user-email IF there is an user with the login/email.
+ *        429:
+ *          description: Too many attempts, wait the seconds of the Retry-After header
  */
 router.post("/forgot", koaBody(), async (ctx) => {
   const login = ctx.request.body.login;
@@ -260,12 +623,18 @@ router.post("/forgot", koaBody(), async (ctx) => {
     ctx.throw(400, "Login missing");
   }
 
+  // every request is counted for the IP address, so nobody can flood the mails and password resets
+  // the account only counts sent mails, otherwise anyone could lock the reset of someone else
+  const throttleKeys = getThrottleKeys("forgot", ctx.ip, login.toLowerCase());
+  await checkThrottle(ctx, throttleKeys);
+  await registerAttempt(throttleKeys.slice(0, 1));
+
   // check if its an email or a username
   const isMail = validator.isEmail(login);
   const queryParam = isMail ? "email" : "username";
 
   const checkQueryString =
-    "/users?" + queryParam + "=eq." + login.toLowerCase();
+    "/users?" + queryParam + "=eq." + encodeURIComponent(login.toLowerCase());
 
   // search for the user in the database
   const dbResponse = await dbServer.get(checkQueryString);
@@ -299,22 +668,14 @@ router.post("/forgot", koaBody(), async (ctx) => {
     return;
   }
 
-  // create information for password reset
-  const passwordUuid = uuidv4();
-  const passwordUuidHash = await generateHash(passwordUuid);
-  const passwordUuidHashString = passwordUuidHash.toString("hex");
-
-  // save it in database
-  await dbServer.post("/password_resets", {
-    user_id: user.id,
-    reset_token: passwordUuidHashString,
-    expiry_at: getTomorrow(),
-  });
-
-  // TODO mail service? sending the text for confirmation
-  // send mail for Password reset
-  // await sendPasswordReset(user.email, user.name, passwordUuid);
-  console.log(`user: ${user.email}, password-reset-uuid: ${passwordUuid}`);
+  // create the password reset and send the mail, a failed mail gets the same response
+  if (await createPasswordReset(user)) {
+    await registerAttempt(throttleKeys.slice(1));
+    await audit(ctx, "auth.password_reset_requested", {
+      actorId: user.id,
+      targetId: user.id,
+    });
+  }
 
   // respond to user
   ctx.status = 200;
@@ -347,11 +708,14 @@ router.post("/forgot", koaBody(), async (ctx) => {
  *                  description: E-Mail needed for password reset.
  *                password:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
+ *                  description: >
+ *                    Checked with the password policy: min length (default 8), a strength estimate
+ *                    and a list of breached passwords. The error message explains a rejection.
  *                password2:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
  *                  description: need to be the same then password
  *      produces:
@@ -362,6 +726,8 @@ router.post("/forgot", koaBody(), async (ctx) => {
  *        200:
  *          description: >
  *            Password has been updated and can be used to login
+ *        429:
+ *          description: Too many attempts, wait the seconds of the Retry-After header
  */
 router.post("/set/password", koaBody(), async (ctx) => {
   const email = ctx.request.body.email;
@@ -379,17 +745,25 @@ router.post("/set/password", koaBody(), async (ctx) => {
     ctx.throw(400, "Invalid email");
   }
 
-  if (!validator.isLength(password, { min: 4, max: 128 })) {
-    ctx.throw(400, "Too short/long password, please check docs");
-  }
-
   if (password !== password2) {
     ctx.throw(400, "Passwords doesn't match");
   }
 
+  // failed attempts are counted per IP address and per email
+  const throttleKeys = getThrottleKeys(
+    "setPassword",
+    ctx.ip,
+    email.toLowerCase()
+  );
+  await checkThrottle(ctx, throttleKeys);
+
   // get user
-  const dbResponse = await dbServer.get(`/users?email=eq.${email}`);
+  const dbResponse = await dbServer.get(
+    `/users?email=eq.${encodeURIComponent(email)}`
+  );
   if (dbResponse.data.length !== 1) {
+    // unknown addresses are only counted for the IP address, so the keys are not chosen by the client
+    await registerAttempt(throttleKeys.slice(0, 1));
     ctx.throw(400, "Invalid token or email");
   }
   const user = dbResponse.data[0];
@@ -403,6 +777,7 @@ router.post("/set/password", koaBody(), async (ctx) => {
 
   // check if we got one result
   if (passwordResetTableResponse.data.length !== 1) {
+    await registerAttempt(throttleKeys);
     ctx.throw(400, "Invalid token or email");
   }
   const passwordResetRow = passwordResetTableResponse.data[0];
@@ -413,19 +788,38 @@ router.post("/set/password", koaBody(), async (ctx) => {
   // check is the token is valid
   if (!validToken.valid) {
     // token is not valid
+    await registerAttempt(throttleKeys);
     ctx.throw(400, "Invalid token or email");
   }
 
-  // token is valid
+  // token is valid, check the new password
+  const passwordValidation = await validatePassword(password, [
+    user.username,
+    user.email,
+    user.name,
+  ]);
+  if (!passwordValidation.valid) {
+    ctx.throw(400, passwordValidation.msg);
+  }
+
   // hash password
   const hash = await generateHash(password);
   const hashString = hash.toString("hex");
   const payload = {
     password: hashString,
+    password_reset_required: false,
   };
 
   // update password
   await dbServer.patch(`/users?id=eq.${user.id}`, payload);
+  await resetThrottle(throttleKeys.slice(1));
+
+  // logout every device, the old password could be known by somebody else
+  await revokeSessions(user.id);
+  await audit(ctx, "auth.password_reset", {
+    actorId: user.id,
+    targetId: user.id,
+  });
 
   // update entry in our password reset table
   await dbServer.patch(
@@ -440,23 +834,38 @@ router.post("/set/password", koaBody(), async (ctx) => {
 });
 
 // ---- helper functions ----
+// the current address of the user needs to be confirmed
+async function hasConfirmedEmail(userId) {
+  const response = await dbServer.get(
+    `/email_updates?and=(user_id.eq.${userId},current.is.true,confirmed.is.true)`
+  );
+  return response.data.length > 0;
+}
+
 async function updateLastLogin(userId) {
   await dbServer.patch(`/users?id=eq.${userId}`, {
     last_login_at: new Date(),
   });
 }
 
-async function setJwtAndCookie(ctx, userId) {
-  // lets create our signed JWT, first the claims we save in the jwt
-  const claims = {
-    id: userId,
+function createLoginData(user, session) {
+  return {
+    name: user.name,
+    expires: new Date(getExpirationDate()),
+    sessionExpires: new Date(session.expires_at),
   };
+}
 
-  // now we create it
-  const token = jwt.sign(claims, process.env.JWT_SECRET, getJwtOptions());
-
-  // lets save it in a new signed cookie
-  ctx.cookies.set("jwt", token, getCookeOptions());
+function createSessionResponse(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.user_agent,
+    ip: session.ip,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId,
+  };
 }
 
 export default router;
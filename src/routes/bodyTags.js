@@ -1,10 +1,12 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
+import { can } from "../auth/roles.js";
 import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { audit } from "../audit/index.js";
 import dbServer from "../database/dbServer.js";
 
 const router = new Router({ prefix: "/bodyTags" });
@@ -193,6 +195,7 @@ router.get("/search/name/:name", async (ctx) => {
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
@@ -208,7 +211,7 @@ router.get("/search/name/:name", async (ctx) => {
 router.post(
   "/",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write", can: "tags:create" }),
   koaBody(),
   async (ctx) => {
     await bodyTagsPost(ctx);
@@ -260,6 +263,10 @@ export async function bodyTagsPost(ctx, returnsValue = false, n = "") {
 
   // push into database and return the data
   const newData = await dbServer.post("/body_tags", payload);
+  await audit(ctx, "bodytag.create", {
+    targetId: newData.data[0].id,
+    after: newData.data[0],
+  });
 
   if (!returnsValue) ctx.body = newData.data;
   else return newData.data;
@@ -299,6 +306,7 @@ export async function bodyTagsPost(ctx, returnsValue = false, n = "") {
  *                  description: Alpha Numeric only!
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: Returns an array with the updated object
@@ -314,7 +322,7 @@ export async function bodyTagsPost(ctx, returnsValue = false, n = "") {
 router.patch(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write" }),
   koaBody(),
   async (ctx) => {
     // validate the input
@@ -356,6 +364,15 @@ router.patch(
     }
 
     const data = entryResponse.data[0];
+
+    // only the creator or users who manage the body tags can rename it
+    if (
+      data.creator_id !== ctx.state.user.id &&
+      !can(ctx.state.user, "bodytags:manage")
+    ) {
+      ctx.throw(401, "Authentication Error");
+    }
+
     const validation = await validateUniqueBodytagName(name);
     if (!validation.valid) {
       ctx.throw(400, validation.msg);
@@ -370,6 +387,11 @@ router.patch(
       `/body_tags?id=eq.${data.id}`,
       payload
     );
+    await audit(ctx, "bodytag.update", {
+      targetId: data.id,
+      before: data,
+      after: updatedResponse.data[0],
+    });
 
     ctx.body = updatedResponse.data;
   }
@@ -396,6 +418,7 @@ router.patch(
  *        description: Unique id of the bodyTag
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -406,37 +429,53 @@ router.patch(
  *        401:
  *          description: Authentication Error
  */
-router.delete("/:id", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  // validate the input
-  const bodyTagId = ctx.params.id;
-
-  // bodyTag id first
-  if (bodyTagId == null) {
-    ctx.throw(400, "missing id");
-  }
-  if (!validator.isInt(bodyTagId)) {
-    ctx.throw(400, "Invalid id");
-  }
-
-  // check if the user is not an admin
-  if (!ctx.state.user.admin) {
-    // find our entry
-    const entryResponse = await dbServer.get(`/body_tags?id=eq.${bodyTagId}`);
+router.delete(
+  "/:id",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write" }),
+  async (ctx) => {
+    // validate the input
+    const bodyTagId = ctx.params.id;
 
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
+    // bodyTag id first
+    if (bodyTagId == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isInt(bodyTagId)) {
       ctx.throw(400, "Invalid id");
     }
 
-    if (entryResponse.data[0].creator_id !== ctx.state.user.id) {
-      ctx.throw(401, "Authentication Error");
+    // check if the user is not allowed to delete every body tag
+    if (!can(ctx.state.user, "bodytags:manage")) {
+      // find our entry
+      const entryResponse = await dbServer.get(`/body_tags?id=eq.${bodyTagId}`);
+
+      // check if we have an entry
+      if (entryResponse.data.length !== 1) {
+        ctx.throw(400, "Invalid id");
+      }
+
+      if (entryResponse.data[0].creator_id !== ctx.state.user.id) {
+        ctx.throw(401, "Authentication Error");
+      }
     }
-  }
 
-  await dbServer.delete(`/body_tags?id=eq.${bodyTagId}`);
+    const deleteResponse = await dbServer.delete(
+      `/body_tags?id=eq.${bodyTagId}`,
+      {
+        headers: { Prefer: "return=representation" },
+      }
+    );
+    if (deleteResponse.data.length > 0) {
+      await audit(ctx, "bodytag.delete", {
+        targetId: bodyTagId,
+        before: deleteResponse.data[0],
+      });
+    }
 
-  ctx.status = 204;
-});
+    ctx.status = 204;
+  }
+);
 
 export default router;
 
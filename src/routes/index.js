@@ -1,25 +1,50 @@
 import docsRouter from "./docs.js";
+import userTokensRouter from "./userTokens.js";
+import userDataRouter from "./userData.js";
 import userRouter from "./user.js";
 import authRouter from "./auth.js";
+import twoFactorRouter from "./twoFactor.js";
+import lockoutsRouter from "./lockouts.js";
+import adminRouter from "./admin.js";
 import teamsRouter from "./teams.js";
+import teamMembersRouter from "./teamMembers.js";
 import tagRouter from "./tags.js";
 import bodyTagRouter from "./bodyTags.js";
 import motorPositionsRouter from "./motorPositions.js";
 import tactonsRouter from "./tactons.js";
+import tactonRevisionsRouter from "./tactonRevisions.js";
 
 function setupRoutes(app) {
   // initialize docs router
   app.use(docsRouter.routes()).use(docsRouter.allowedMethods());
 
+  // initialize user tokens router, before the user router because of /user/:id
+  app.use(userTokensRouter.routes()).use(userTokensRouter.allowedMethods());
+
+  // initialize user data router, before the user router because of /user/:id
+  app.use(userDataRouter.routes()).use(userDataRouter.allowedMethods());
+
   // initialize user router
   app.use(userRouter.routes()).use(userRouter.allowedMethods());
 
   // initialize auth router
   app.use(authRouter.routes()).use(authRouter.allowedMethods());
 
+  // initialize two-factor authentication router
+  app.use(twoFactorRouter.routes()).use(twoFactorRouter.allowedMethods());
+
+  // initialize lockouts router
+  app.use(lockoutsRouter.routes()).use(lockoutsRouter.allowedMethods());
+
+  // initialize admin router
+  app.use(adminRouter.routes()).use(adminRouter.allowedMethods());
+
   // initialize teams router
   app.use(teamsRouter.routes()).use(teamsRouter.allowedMethods());
 
+  // initialize team members router
+  app.use(teamMembersRouter.routes()).use(teamMembersRouter.allowedMethods());
+
   // initialize tags router
   app.use(tagRouter.routes()).use(tagRouter.allowedMethods());
 
@@ -33,6 +58,11 @@ function setupRoutes(app) {
 
   // initialize tacton router
   app.use(tactonsRouter.routes()).use(tactonsRouter.allowedMethods());
+
+  // initialize tacton revisions router
+  app
+    .use(tactonRevisionsRouter.routes())
+    .use(tactonRevisionsRouter.allowedMethods());
 }
 
 export default setupRoutes;
@@ -45,4 +75,10 @@ export default setupRoutes;
  *       type: apiKey
  *       in: cookie
  *       name: jwt
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: >
+ *         The jwt or a personal access token (see /user/tokens).
+ *         Personal access tokens only work for routes with one of their scopes.
  */
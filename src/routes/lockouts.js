@@ -0,0 +1,160 @@
+import Router from "koa-router";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { getAttempts, getStore, resetThrottle } from "../throttle/index.js";
+import { audit } from "../audit/index.js";
+
+const router = new Router({ prefix: "/auth/lockouts" });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     "ThrottleEntry":
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: >
+ *             action, type (ip or account) and value,
+ *             for example "login:account:<user id or login>" or "forgot:ip:127.0.0.1"
+ *         attempts:
+ *           type: integer
+ *         lastAttempt:
+ *           type: string
+ *         lockedUntil:
+ *           type: string
+ *           nullable: true
+ *         locked:
+ *           type: boolean
+ *
+ * /auth/lockouts:
+ *    get:
+ *      description: >
+ *        Lists the counted attempts of the login and password routes. Only for admins.
+ *        Keys are locked after too many attempts.
+ *      summary: Get attempts and lockouts
+ *      operationId: getLockouts
+ *      tags:
+ *        - auth
+ *      parameters:
+ *      - in: query
+ *        name: locked
+ *        schema:
+ *          type: boolean
+ *        required: false
+ *        description: Only the locked keys
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The entries, the latest attempt first
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/ThrottleEntry"
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "settings:manage" }),
+  async (ctx) => {
+    const now = Date.now();
+    let entries = (await getAttempts()).map((entry) => ({
+      key: entry.key,
+      attempts: entry.attempts,
+      lastAttempt: new Date(entry.lastAttempt),
+      lockedUntil: entry.lockedUntil > 0 ? new Date(entry.lockedUntil) : null,
+      locked: entry.lockedUntil > now,
+    }));
+
+    if (ctx.query.locked === "true") {
+      entries = entries.filter((entry) => entry.locked);
+    }
+
+    ctx.body = entries;
+  }
+);
+
+/**
+ * @swagger
+ * /auth/lockouts:
+ *    delete:
+ *      description: Clears all attempts and lockouts. Only for admins.
+ *      summary: Clear all lockouts
+ *      operationId: deleteLockouts
+ *      tags:
+ *        - auth
+ *      parameters: []
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully cleared
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "settings:manage" }),
+  async (ctx) => {
+    const entries = await getStore().list();
+    await resetThrottle(entries.map((entry) => entry.key));
+    await audit(ctx, "admin.lockouts_cleared", {
+      targetId: "lockouts",
+      details: { keys: entries.map((entry) => entry.key) },
+    });
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /auth/lockouts/{key}:
+ *    delete:
+ *      description: Clears the attempts and the lockout of one key. Only for admins.
+ *      summary: Clear a lockout
+ *      operationId: deleteLockout
+ *      tags:
+ *        - auth
+ *      parameters:
+ *      - in: path
+ *        name: key
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: The URL encoded key, for example login%3Aaccount%3A<user id>
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully cleared, even if there was no entry
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/:key",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "settings:manage" }),
+  async (ctx) => {
+    await resetThrottle([ctx.params.key]);
+    await audit(ctx, "admin.lockouts_cleared", {
+      targetId: "lockouts",
+      details: { keys: [ctx.params.key] },
+    });
+    ctx.status = 204;
+  }
+);
+
+// export router object
+export default router;
@@ -1,19 +1,49 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
-import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { can } from "../auth/roles.js";
+import jwtAuthOptions, {
+  optionalJwtAuthOptions,
+} from "../auth/jwtAuthOptions.js";
+import { getVisibilityCondition } from "../auth/tactonAccess.js";
+import { audit, pick } from "../audit/index.js";
 import dbServer from "../database/dbServer.js";
-import localServer from "../database/localServer.js";
+import {
+  appendQuery,
+  decodeCursor,
+  encodeCursor,
+  getConditionQuery,
+  getCursorCondition,
+  getTotalCount,
+  maxLimit,
+  quoteValue,
+  setPaginationHeaders,
+} from "../database/pagination.js";
 
+import createResponseData from "../helper/createTactonResponse.js";
 import mapOutput from "../helper/mapMotorPositionOutput.js";
+import getTactonList from "../helper/tactonList.js";
 import mapForDatabase from "../helper/mapMotorPositionForDatabase.js";
 
 const router = new Router({ prefix: "/motorPositions" });
 const tableName = "motor_positions";
 const stateKey = "redirected";
+const layoutSelect = "*,owner:users(id,name)";
+const maxLabelLength = 64;
+// values of the layouts in the audit log
+const auditFields = [
+  "name",
+  "description",
+  "device",
+  "labels",
+  "owner_id",
+  "x",
+  "y",
+  "z",
+];
 
 /**
  * @swagger
@@ -25,11 +55,52 @@ const stateKey = "redirected";
  *         id:
  *           type: number
  *           format: int32
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         device:
+ *           type: string
+ *           nullable: true
+ *         owner:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
  *         positions:
  *           type: array
  *           items:
  *             $ref: "#/components/schemas/motorPositionsCombined"
+ *     layoutRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: name of the layout, layouts with a name are not shared with others
+ *         description:
+ *           type: string
+ *         device:
+ *           type: string
+ *           description: the device or garment of the layout, e.g. vest, sleeve or belt
+ *         labels:
+ *           type: array
+ *           description: one label for every motor (or null), in the same order as the positions
+ *           items:
+ *             type: string
+ *             nullable: true
+ *       example:
+ *         name: Workshop vest
+ *         description: vest with eight motors on the front
+ *         device: vest
  *     motorPositionRequest:
+ *       allOf:
+ *         - $ref: "#/components/schemas/layoutRequest"
  *       type: object
  *       properties:
  *         x:
@@ -86,6 +157,8 @@ const stateKey = "redirected";
  *           0.030336090576828845
  *           ]
  *     motorPositionRequestCombined:
+ *       allOf:
+ *         - $ref: "#/components/schemas/layoutRequest"
  *       type: object
  *       properties:
  *         positions:
@@ -121,9 +194,12 @@ const stateKey = "redirected";
  *         z:
  *           type: number
  *           format: float
+ *         label:
+ *           type: string
+ *           nullable: true
  * /motorPositions/id/{id}:
  *    get:
- *      description: Get a motor position by the id
+ *      description: Get a motor position (layout) by the id
  *      summary: get motor positions by id
  *      operationId: getMotorPositionsById
  *      tags:
@@ -146,7 +222,18 @@ const stateKey = "redirected";
  *          content:
  *            application/json:
  *              schema:
- *                $ref: "#/components/schemas/motorPositionResponse"
+ *                allOf:
+ *                  - $ref: "#/components/schemas/motorPositionResponse"
+ *                  - type: object
+ *                    properties:
+ *                      usage:
+ *                        type: number
+ *                        format: int32
+ *                        description: number of tactons using the motor positions
+ *                      historyUsage:
+ *                        type: number
+ *                        format: int32
+ *                        description: number of old revisions of other tactons using the motor positions
  *        400:
  *          description: >
  *            Invalid id or no entry found with that id
@@ -161,7 +248,9 @@ router.get("/id/:id", async (ctx) => {
   }
 
   // get data from db
-  const response = await dbServer.get(`/${tableName}?id=eq.${id}`);
+  const response = await dbServer.get(
+    `/${tableName}?id=eq.${id}&select=${layoutSelect}`
+  );
 
   // check if there is one entry
   if (response.data.length !== 1) {
@@ -169,7 +258,231 @@ router.get("/id/:id", async (ctx) => {
   }
 
   // return to user
-  ctx.body = mapOutput(response.data[0]);
+  ctx.body = {
+    ...mapOutput(response.data[0]),
+    usage: await getUsageCount(id),
+    historyUsage: await getHistoryUsageCount(id),
+  };
+});
+
+/**
+ * @swagger
+ * /motorPositions/id/{id}/tactons:
+ *    get:
+ *      description: >
+ *        Get a page of tactons using the motor positions.
+ *        Without login only public tactons are listed, otherwise your own and the tactons of your team as well.
+ *        The same pagination, sorting and filters as for the list of tactons can be used.
+ *      summary: get tactons of motor positions
+ *      operationId: getMotorPositionsTactons
+ *      tags:
+ *        - motorPositions
+ *      parameters:
+ *        - in: path
+ *          name: id
+ *          schema:
+ *            type: number
+ *            format: int32
+ *          required: true
+ *          description: Unique ID of the motorPositions
+ *        - $ref: "#/components/parameters/tactonListAfter"
+ *        - $ref: "#/components/parameters/tactonListLimit"
+ *        - $ref: "#/components/parameters/tactonListSort"
+ *        - $ref: "#/components/parameters/tactonListOrder"
+ *        - $ref: "#/components/parameters/tactonListAuthor"
+ *        - $ref: "#/components/parameters/tactonListTag"
+ *        - $ref: "#/components/parameters/tactonListBodyTag"
+ *        - $ref: "#/components/parameters/tactonListFrom"
+ *        - $ref: "#/components/parameters/tactonListTo"
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Returns an array with the tactons of the page using the motor positions.
+ *            Newest ones will be listed first by default.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid id or query
+ */
+router.get(
+  "/id/:id/tactons",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isInt(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    // get data from db, only the tactons the user is allowed to see
+    const page = await getTactonList(ctx, "/gettactons", [
+      getVisibilityCondition(ctx.state.user),
+      `motor_positions_id.eq.${id}`,
+    ]);
+    setPaginationHeaders(ctx, page);
+
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     layoutListAfter:
+ *       in: query
+ *       name: after
+ *       schema:
+ *         type: string
+ *       description: cursor from the header X-Next-Cursor of the previous page
+ *     layoutListLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: number
+ *         format: int32
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 50
+ *       description: maximum number of layouts
+ *     layoutListDevice:
+ *       in: query
+ *       name: device
+ *       schema:
+ *         type: string
+ *       description: only layouts of this device or garment
+ *     layoutListOwner:
+ *       in: query
+ *       name: owner
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       description: only layouts of this user
+ *     layoutListAll:
+ *       in: query
+ *       name: all
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: list the anonymous layouts without a name as well
+ *
+ * /motorPositions:
+ *    get:
+ *      description: >
+ *        Get a page of named motor layouts, sorted by the id.
+ *        Use the cursor from the header "X-Next-Cursor" to get the next page.
+ *      summary: get motor layouts
+ *      operationId: getMotorLayouts
+ *      tags:
+ *        - motorPositions
+ *      parameters:
+ *        - $ref: "#/components/parameters/layoutListAfter"
+ *        - $ref: "#/components/parameters/layoutListLimit"
+ *        - $ref: "#/components/parameters/layoutListDevice"
+ *        - $ref: "#/components/parameters/layoutListOwner"
+ *        - $ref: "#/components/parameters/layoutListAll"
+ *      produces:
+ *        - application/json
+ *      security: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the layouts of the page
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/motorPositionResponse"
+ *        400:
+ *          description: Invalid query
+ */
+router.get("/", async (ctx) => {
+  const page = await getLayoutList(ctx);
+  setPaginationHeaders(ctx, page);
+
+  // return to user
+  ctx.body = page.data.map((layout) => mapOutput(layout));
+});
+
+/**
+ * @swagger
+ * /motorPositions/search/{term}:
+ *    get:
+ *      description: >
+ *        Search named motor layouts by a term.
+ *        The name, the description and the device are used for the search.
+ *        The same pagination and filters as for the list of layouts can be used.
+ *      summary: search motor layouts
+ *      operationId: searchMotorLayouts
+ *      tags:
+ *        - motorPositions
+ *      parameters:
+ *        - in: path
+ *          name: term
+ *          schema:
+ *            type: string
+ *          required: true
+ *          description: something you wanna search
+ *        - $ref: "#/components/parameters/layoutListAfter"
+ *        - $ref: "#/components/parameters/layoutListLimit"
+ *        - $ref: "#/components/parameters/layoutListDevice"
+ *        - $ref: "#/components/parameters/layoutListOwner"
+ *      produces:
+ *        - application/json
+ *      security: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the layouts of the page matching the term
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/motorPositionResponse"
+ *        400:
+ *          description: Invalid query
+ */
+router.get("/search/:term", async (ctx) => {
+  const term = validator.trim(ctx.params.term);
+  if (term.length === 0) {
+    ctx.throw(400, "missing term");
+  }
+
+  const pattern = encodeURIComponent(quoteValue(`*${term}*`));
+  const page = await getLayoutList(ctx, [
+    `or(name.ilike.${pattern},description.ilike.${pattern},device.ilike.${pattern})`,
+  ]);
+  setPaginationHeaders(ctx, page);
+
+  // return to user
+  ctx.body = page.data.map((layout) => mapOutput(layout));
 });
 
 /**
@@ -278,6 +591,8 @@ router.get("/position", async (ctx) => {
  *        Create new set of motor positions to use it with tactons.
  *        This endpoint can handle different request schemas.
  *        providing the positions will automatically override the xyz arrays if provided.
+ *        Without a name the positions are anonymous and an existing entry with the same positions is returned.
+ *        With a name a new layout is created, which is owned by you.
  *      summary: Create new set of motor positions
  *      operationId: createMotorPositions
  *      tags:
@@ -296,6 +611,7 @@ router.get("/position", async (ctx) => {
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
@@ -306,11 +622,43 @@ router.get("/position", async (ctx) => {
 router.post(
   "/",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write", can: "layouts:create" }),
   koaBody(),
   async (ctx) => {
     await postMotorPositionsTypeValidation(ctx);
-    await postMotorPositions(ctx);
+
+    // anonymous positions are shared
+    if (ctx.request.body.name == null) {
+      await postMotorPositions(ctx);
+      return;
+    }
+
+    const positions = ctx.state[stateKey];
+    validatePositions(ctx, positions);
+
+    const payload = {
+      x: positions.x,
+      y: positions.y,
+      z: positions.z,
+      owner_id: ctx.state.user.id,
+      // labels can be part of the positions as well
+      ...createLayoutPayload(
+        ctx,
+        { ...ctx.request.body, labels: positions.labels },
+        positions.x.length
+      ),
+    };
+    if (payload.name == null) {
+      ctx.throw(400, "Invalid name");
+    }
+
+    // push into database and return the data
+    const newData = await dbServer.post(`/${tableName}`, payload);
+    await audit(ctx, "layout.create", {
+      targetId: newData.data[0].id,
+      after: pick(newData.data[0], auditFields),
+    });
+    ctx.body = newData.data;
   }
 );
 
@@ -322,6 +670,7 @@ export async function postMotorPositionsTypeValidation(ctx) {
   let x = ctx.request.body.x;
   let y = ctx.request.body.y;
   let z = ctx.request.body.z;
+  let labels = ctx.request.body.labels;
 
   // check if we got the positon and or XYZ
   if (positions == null && (x == null || y == null || z == null)) {
@@ -338,6 +687,7 @@ export async function postMotorPositionsTypeValidation(ctx) {
     x = obj.x;
     y = obj.y;
     z = obj.z;
+    labels = obj.labels;
   }
 
   // we either have our xyz from the user or the translated scheme
@@ -346,7 +696,10 @@ export async function postMotorPositionsTypeValidation(ctx) {
     x: x,
     y: y,
     z: z,
+    labels: labels,
   };
+
+  return ctx.state[stateKey];
 }
 
 export async function postMotorPositions(ctx, returnsValue = false) {
@@ -354,30 +707,18 @@ export async function postMotorPositions(ctx, returnsValue = false) {
   const y = ctx.state[stateKey].y;
   const z = ctx.state[stateKey].z;
 
-  // check if we got x, y and z
-  if (x == null || y == null || z == null) {
-    ctx.throw(400, "Please provide x,y,z");
-  }
+  validatePositions(ctx, ctx.state[stateKey]);
 
-  // check if we got arrays
-  if (!Array.isArray(x) || !Array.isArray(y) || !Array.isArray(z)) {
-    ctx.throw(400, "x,y,z need to be an array");
-  }
-
-  // check if all got the same length
-  if (x.length !== y.length && x.length !== z.length) {
-    ctx.throw(400, "x,y,z should have the same length");
-  }
-
-  // validate if unique
-  const validation = await localServer.get(
-    `/motorPositions/position?x=${x}&y=${y}&z=${z}`
+  // validate if unique, only anonymous positions are shared
+  const validation = await dbServer.get(
+    `/${tableName}?and=(x.eq.{${x}},y.eq.{${y}},z.eq.{${z}},name.is.null)`
   );
 
   // decide if we need to create a new one, or if we can just return the id
-  if (validation.status === 200) {
-    if (!returnsValue) ctx.body = validation.data;
-    else return validation.data;
+  if (validation.data.length > 0) {
+    const existing = mapOutput(validation.data[0]);
+    if (!returnsValue) ctx.body = existing;
+    else return existing;
   } else {
     // push into database and return the data
     const payload = {
@@ -393,13 +734,93 @@ export async function postMotorPositions(ctx, returnsValue = false) {
   }
 }
 
+/**
+ * @swagger
+ * /motorPositions/{id}:
+ *    patch:
+ *      description: >
+ *        Update the name, description, device or labels of a layout.
+ *        The positions can't be changed, since tactons are using them.
+ *        You can only update your own layouts. Admins can update all layouts,
+ *        naming an anonymous layout is only allowed for admins.
+ *      summary: update motor layout
+ *      operationId: updateMotorLayout
+ *      tags:
+ *        - motorPositions
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Unique id of the layout
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the information you wanna update
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: "#/components/schemas/layoutRequest"
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns the updated layout
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/motorPositionResponse"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.patch(
+  "/:id",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write" }),
+  koaBody(),
+  async (ctx) => {
+    const layout = await getOwnLayout(ctx, ctx.params.id);
+
+    const payload = createLayoutPayload(ctx, ctx.request.body, layout.x.length);
+    if (Object.keys(payload).length === 0) {
+      ctx.throw(400, "missing body parameters");
+    }
+
+    // a named layout can't become anonymous again
+    if (payload.name === null) {
+      ctx.throw(400, "Invalid name");
+    }
+
+    // update database
+    await dbServer.patch(`/${tableName}?id=eq.${layout.id}`, payload);
+    const updatedResponse = await dbServer.get(
+      `/${tableName}?id=eq.${layout.id}&select=${layoutSelect}`
+    );
+    await audit(ctx, "layout.update", {
+      targetId: layout.id,
+      before: pick(layout, auditFields),
+      after: pick(updatedResponse.data[0], auditFields),
+    });
+
+    ctx.body = mapOutput(updatedResponse.data[0]);
+  }
+);
+
 /**
  * @swagger
  * /motorPositions/{id}:
  *    delete:
  *      description: >
  *        Delete an entry of motorPositions
- *        Only admins can delete motorPositions.
+ *        You can only delete your own layouts. Admins can delete all motorPositions.
+ *        Deleting motor positions deletes every tacton using them as well,
+ *        so the request is refused if they are still used. Use force to delete them anyway.
+ *        Motor positions used by old revisions of other tactons can't be deleted, not even with force.
+ *        Only users who manage the layouts (admins and facilitators) can force the deletion, if tactons of other users are using them.
  *      summary: delete motorPositions
  *      operationId: deleteMotorPositions
  *      tags:
@@ -412,8 +833,15 @@ export async function postMotorPositions(ctx, returnsValue = false) {
  *          format: int32
  *        required: true
  *        description: Unique id of the entry of the motorPosition
+ *      - in: query
+ *        name: force
+ *        schema:
+ *          type: boolean
+ *          default: false
+ *        description: delete the motor positions and all tactons using them
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -423,36 +851,246 @@ export async function postMotorPositions(ctx, returnsValue = false) {
  *          description: Invalid request
  *        401:
  *          description: Authentication Error
+ *        409:
+ *          description: The motor positions are used by tactons or old revisions
  */
 router.delete(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission({ admin: true }),
+  permission({ scope: "tactons:write" }),
   async (ctx) => {
-    // validate the input
-    const id = ctx.params.id;
+    // find our entry, only the owner or an admin can delete it
+    const layout = await getOwnLayout(ctx, ctx.params.id);
 
-    // id first
-    if (id == null) {
-      ctx.throw(400, "missing id");
-    }
-    if (!validator.isInt(id)) {
-      ctx.throw(400, "Invalid id");
+    // the history of other tactons is kept, so the layout stays
+    const historyUsage = await getHistoryUsageCount(layout.id);
+    if (historyUsage > 0) {
+      ctx.throw(
+        409,
+        `Motor positions are used by ${historyUsage} old revisions of tactons and can't be deleted`
+      );
     }
 
-    // find our entry
-    const entryResponse = await dbServer.get(`/${tableName}?id=eq.${id}`);
+    // deleting the layout deletes the tactons as well (cascade deletion)
+    const usage = await getUsageCount(layout.id);
+    if (usage > 0) {
+      if (ctx.query.force !== "true") {
+        ctx.throw(
+          409,
+          `Motor positions are used by ${usage} tactons, use force to delete them anyway`
+        );
+      }
 
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
-      ctx.throw(400, "Invalid id");
+      // only users who manage the layouts can delete the tactons of other users
+      const foreignUsage = await getUsageCount(
+        layout.id,
+        `user_id.neq.${ctx.state.user.id}`
+      );
+      if (!can(ctx.state.user, "layouts:manage") && foreignUsage > 0) {
+        ctx.throw(401, "Authentication Error");
+      }
     }
 
     // delete it
-    await dbServer.delete(`/${tableName}?id=eq.${id}`);
+    await dbServer.delete(`/${tableName}?id=eq.${layout.id}`);
+    await audit(ctx, "layout.delete", {
+      targetId: layout.id,
+      before: pick(layout, auditFields),
+      details: { deletedTactons: usage },
+    });
 
     ctx.status = 204;
   }
 );
 
 export default router;
+
+// ---- helper functions ----
+function validatePositions(ctx, positions) {
+  const x = positions.x;
+  const y = positions.y;
+  const z = positions.z;
+
+  // check if we got x, y and z
+  if (x == null || y == null || z == null) {
+    ctx.throw(400, "Please provide x,y,z");
+  }
+
+  // check if we got arrays
+  if (!Array.isArray(x) || !Array.isArray(y) || !Array.isArray(z)) {
+    ctx.throw(400, "x,y,z need to be an array");
+  }
+
+  // check if all got the same length
+  if (x.length !== y.length || x.length !== z.length) {
+    ctx.throw(400, "x,y,z should have the same length");
+  }
+}
+
+// validates the optional information of a layout and returns the values to update
+function createLayoutPayload(ctx, body, motorCount) {
+  const payload = {};
+
+  if (body.name !== undefined) {
+    payload.name = getOptionalText(ctx, body.name, "name", 128);
+  }
+  if (body.description !== undefined) {
+    payload.description = getOptionalText(
+      ctx,
+      body.description,
+      "description",
+      1024
+    );
+  }
+  if (body.device !== undefined) {
+    payload.device = getOptionalText(ctx, body.device, "device", 128);
+  }
+
+  if (body.labels !== undefined) {
+    payload.labels = getLabels(ctx, body.labels, motorCount);
+  }
+
+  return payload;
+}
+
+function getOptionalText(ctx, value, key, maxLength) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== "string") {
+    ctx.throw(400, `Invalid ${key}`);
+  }
+
+  // trim spaces before and after
+  value = validator.trim(value);
+  if (value === "") {
+    return null;
+  }
+  if (!validator.isLength(value, { min: 2, max: maxLength })) {
+    ctx.throw(400, `Invalid ${key} or length`);
+  }
+
+  return value;
+}
+
+function getLabels(ctx, labels, motorCount) {
+  if (labels === null) {
+    return null;
+  }
+  if (!Array.isArray(labels) || labels.length !== motorCount) {
+    ctx.throw(400, `labels need to be an array with ${motorCount} entries`);
+  }
+
+  return labels.map((label) => {
+    if (label == null || label === "") {
+      return null;
+    }
+    if (
+      typeof label !== "string" ||
+      !validator.isLength(label, { max: maxLabelLength })
+    ) {
+      ctx.throw(400, `Invalid label (max length: ${maxLabelLength})`);
+    }
+    return validator.trim(label);
+  });
+}
+
+// get a layout, which can be changed by the user
+async function getOwnLayout(ctx, id) {
+  if (id == null) {
+    ctx.throw(400, "missing id");
+  }
+  if (!validator.isInt(id)) {
+    ctx.throw(400, "Invalid id");
+  }
+
+  // find our entry
+  const entryResponse = await dbServer.get(`/${tableName}?id=eq.${id}`);
+
+  // check if we have an entry
+  if (entryResponse.data.length !== 1) {
+    ctx.throw(400, "Invalid id");
+  }
+  const layout = entryResponse.data[0];
+
+  // anonymous layouts have no owner, so only users who manage the layouts can change them
+  if (
+    !can(ctx.state.user, "layouts:manage") &&
+    layout.owner_id !== ctx.state.user.id
+  ) {
+    ctx.throw(401, "Authentication Error");
+  }
+
+  return layout;
+}
+
+// number of tactons using the motor positions, including the ones the user can't see
+async function getUsageCount(id, condition = null) {
+  const conditions = [`motor_positions_id.eq.${id}`, condition];
+  return getTotalCount("/tactons", getConditionQuery(conditions));
+}
+
+// revisions of tactons which use another layout now (view layout_history)
+async function getHistoryUsageCount(id) {
+  return getTotalCount(
+    "/layout_history",
+    getConditionQuery([`motor_positions_id.eq.${id}`])
+  );
+}
+
+async function getLayoutList(ctx, conditions = []) {
+  const query = ctx.query;
+  const limit = query.limit != null ? query.limit : "50";
+  if (!validator.isInt(limit, { min: 1, max: maxLimit })) {
+    ctx.throw(400, `Invalid limit (min: 1, max: ${maxLimit})`);
+  }
+
+  const filters = [...conditions];
+
+  // anonymous layouts are only listed on request
+  if (query.all !== "true") {
+    filters.push("name.not.is.null");
+  }
+  if (query.device != null) {
+    filters.push(
+      `device.ilike.${encodeURIComponent(quoteValue(query.device))}`
+    );
+  }
+  if (query.owner != null) {
+    if (!validator.isUUID(query.owner)) {
+      ctx.throw(400, "Invalid owner");
+    }
+    filters.push(`owner_id.eq.${query.owner}`);
+  }
+
+  // the total count does not depend on the cursor
+  const path = `/${tableName}`;
+  const total = await getTotalCount(path, getConditionQuery(filters));
+
+  if (query.after != null) {
+    const cursor = decodeCursor(query.after, "integer", "integer");
+    if (cursor == null) {
+      ctx.throw(400, "Invalid cursor");
+    }
+    filters.push(getCursorCondition(cursor, "id", true));
+  }
+
+  // get one more entry than needed, so we know if there is a next page
+  const response = await dbServer.get(
+    appendQuery(path, [
+      getConditionQuery(filters),
+      `select=${layoutSelect}`,
+      "order=id.asc",
+      `limit=${parseInt(limit) + 1}`,
+    ])
+  );
+
+  const data = response.data.slice(0, parseInt(limit));
+  let next = null;
+  if (response.data.length > data.length) {
+    const last = data[data.length - 1];
+    next = encodeCursor(last.id, last.id);
+  }
+
+  return { data: data, next: next, total: total };
+}
@@ -0,0 +1,331 @@
+import Router from "koa-router";
+import validator from "validator";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions, {
+  optionalJwtAuthOptions,
+} from "../auth/jwtAuthOptions.js";
+import { canEditTacton, getViewableTacton } from "../auth/tactonAccess.js";
+import { audit, pick } from "../audit/index.js";
+import dbServer from "../database/dbServer.js";
+import { decode, getMetadata } from "../libvtp/index.js";
+
+const router = new Router({ prefix: "/tactons" });
+const tableName = "tacton_revisions";
+const auditFields = ["title", "description", "motor_positions_id"];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     revisionResponse:
+ *       type: object
+ *       properties:
+ *         revision:
+ *           type: number
+ *           format: int32
+ *         tacton_id:
+ *           type: string
+ *           format: uuid
+ *         author:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         libvtp:
+ *           type: string
+ *         motor_positions_id:
+ *           type: number
+ *           format: int32
+ *         created_at:
+ *           type: string
+ *
+ * /tactons/{id}/revisions:
+ *    get:
+ *      description: >
+ *        Get all revisions of a tacton. Every update of a tacton saves a new revision.
+ *        The libvtp buffer is not part of this list, get a single revision for it.
+ *      summary: get revisions of a tacton
+ *      operationId: getTactonRevisions
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the revisions, newest ones will be listed first.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/revisionResponse"
+ *        400:
+ *          description: Invalid id
+ */
+router.get(
+  "/:id/revisions",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    // check if the user is allowed to see the tacton
+    await getViewableTacton(ctx, id, "id");
+
+    // get data from db
+    const response = await dbServer.get(
+      `/${tableName}?tacton_id=eq.${id}&select=revision,tacton_id,title,description,motor_positions_id,created_at,author:users(id,name)&order=revision.desc`
+    );
+
+    // return to user
+    ctx.body = response.data;
+  }
+);
+
+/**
+ * @swagger
+ * /tactons/{id}/revisions/{revision}:
+ *    get:
+ *      description: Get a single revision of a tacton, including the libvtp buffer
+ *      summary: get revision of a tacton
+ *      operationId: getTactonRevision
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton
+ *      - in: path
+ *        name: revision
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Number of the revision
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns the revision
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/revisionResponse"
+ *        400:
+ *          description: Invalid id or revision
+ */
+router.get(
+  "/:id/revisions/:rev",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const revision = await getRevision(ctx, ctx.params.id, ctx.params.rev);
+
+    // check if the user is allowed to see the tacton
+    await getViewableTacton(ctx, revision.tacton_id, "id");
+
+    // return to user
+    ctx.body = revision;
+  }
+);
+
+/**
+ * @swagger
+ * /tactons/{id}/revisions/{revision}/restore:
+ *    post:
+ *      description: >
+ *        Restore a revision of a tacton.
+ *        The content of the revision is saved as the newest revision, so no revision gets lost.
+ *        You can only restore your own tactons. Admins can restore all tactons.
+ *        Tactons of a team can be restored by the owners and maintainers of the team as well.
+ *      summary: restore revision of a tacton
+ *      operationId: restoreTactonRevision
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton
+ *      - in: path
+ *        name: revision
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Number of the revision to restore
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the updated tacton
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/tactonResponse"
+ *        400:
+ *          description: Invalid id or revision
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/revisions/:rev/restore",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write" }),
+  async (ctx) => {
+    const revision = await getRevision(ctx, ctx.params.id, ctx.params.rev);
+
+    // search for the tacton we wanna restore
+    const tactonResponse = await dbServer.get(
+      `/tactons?id=eq.${revision.tacton_id}`
+    );
+    if (tactonResponse.data.length !== 1) {
+      ctx.throw(400, "Invalid id");
+    }
+    const oldTactonData = tactonResponse.data[0];
+
+    // check if the user is allowed to edit the tacton (creator, team or admin)
+    if (!canEditTacton(ctx.state.user, oldTactonData)) {
+      ctx.throw(401, "Authentication Error");
+    }
+
+    // the metadata is not saved with the revision, so we calculate it again
+    const decoded = decode(revision.libvtp);
+    if (!decoded.valid) {
+      ctx.throw(400, `Invalid libvtp buffer: ${decoded.msg}`);
+    }
+
+    const payload = {
+      title: revision.title,
+      description: revision.description,
+      libvtp: revision.libvtp,
+      motor_positions_id: revision.motor_positions_id,
+      last_update_at: new Date(),
+      ...getMetadata(decoded.instructions),
+    };
+
+    // do the database request
+    const updatedTactonResponse = await dbServer.patch(
+      `/tactons?id=eq.${oldTactonData.id}`,
+      payload
+    );
+
+    // save the restored state as newest revision
+    await postRevision(
+      updatedTactonResponse.data[0],
+      ctx.state.user.id,
+      oldTactonData
+    );
+    await audit(ctx, "tacton.restore", {
+      targetId: oldTactonData.id,
+      before: pick(oldTactonData, auditFields),
+      after: pick(updatedTactonResponse.data[0], auditFields),
+      details: { revision: revision.revision },
+    });
+
+    ctx.body = updatedTactonResponse.data;
+  }
+);
+
+// function to use on other endpoints as well
+// saves the current state of the tacton as new revision,
+// the database numbers the revisions (number_tacton_revision in the schema), so parallel updates get their own number
+export async function postRevision(tacton, authorId, previousTacton = null) {
+  // tactons from before the revision history have no revision yet,
+  // so we save the previous state as first revision
+  if (previousTacton != null) {
+    const latestResponse = await dbServer.get(
+      `/${tableName}?tacton_id=eq.${tacton.id}&select=revision&limit=1`
+    );
+    if (latestResponse.data.length === 0) {
+      await dbServer.post(`/${tableName}`, {
+        ...createRevisionPayload(previousTacton, previousTacton.user_id),
+        created_at: previousTacton.last_update_at,
+      });
+    }
+  }
+
+  const newData = await dbServer.post(
+    `/${tableName}`,
+    createRevisionPayload(tacton, authorId)
+  );
+
+  return newData.data[0];
+}
+
+export default router;
+
+// ---- helper functions ----
+function createRevisionPayload(tacton, authorId) {
+  return {
+    tacton_id: tacton.id,
+    author_id: authorId,
+    title: tacton.title,
+    description: tacton.description,
+    libvtp: tacton.libvtp,
+    motor_positions_id: tacton.motor_positions_id,
+  };
+}
+
+async function getRevision(ctx, id, rev) {
+  if (id == null || rev == null) {
+    ctx.throw(400, "missing id or revision");
+  }
+  if (!validator.isUUID(id)) {
+    ctx.throw(400, "Invalid id");
+  }
+  if (!validator.isInt(rev, { min: 1 })) {
+    ctx.throw(400, "Invalid revision");
+  }
+
+  // get data from db
+  const response = await dbServer.get(
+    `/${tableName}?and=(tacton_id.eq.${id},revision.eq.${rev})&select=revision,tacton_id,title,description,libvtp,motor_positions_id,created_at,author:users(id,name)`
+  );
+
+  // check if there is one revision
+  if (response.data.length !== 1) {
+    ctx.throw(400, "No unique revision found");
+  }
+
+  return response.data[0];
+}
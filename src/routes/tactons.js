@@ -1,23 +1,60 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
-import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { can } from "../auth/roles.js";
+import { getTeam } from "../auth/teamAccess.js";
+import jwtAuthOptions, {
+  optionalJwtAuthOptions,
+} from "../auth/jwtAuthOptions.js";
+import {
+  canEditTacton,
+  canViewTacton,
+  getViewableTacton,
+  getVisibilityCondition,
+  visibilities,
+} from "../auth/tactonAccess.js";
+import { audit, pick } from "../audit/index.js";
 import dbServer from "../database/dbServer.js";
+import config from "../config/index.js";
+
+import { setPaginationHeaders } from "../database/pagination.js";
 
-import mapOutput from "../helper/mapMotorPositionOutput.js";
+import createResponseData from "../helper/createTactonResponse.js";
+import getTactonList, { getRankedTactonList } from "../helper/tactonList.js";
+import {
+  getNearestChannelMap,
+  mapInstructions,
+} from "../helper/mapChannels.js";
+import { decode, encode, getMetadata, validate } from "../libvtp/index.js";
+import { parse } from "../search/parser.js";
+import { toCondition } from "../search/condition.js";
+import { rank } from "../search/ranking.js";
 import {
   postMotorPositions,
   postMotorPositionsTypeValidation,
 } from "./motorPositions.js";
 import { tagsPost } from "./tags.js";
 import { bodyTagsPost } from "./bodyTags.js";
+import { postRevision } from "./tactonRevisions.js";
 
 const router = new Router({ prefix: "/tactons" });
 
 const ignoreCharacters = "1234567890 -_";
+const lineageSelect =
+  "id,title,parent_id,last_update_at,visibility,user_id,team_id,user:users(id,name,team_id)";
+// values of the tactons in the audit log, the content is kept in the revisions
+const auditFields = [
+  "title",
+  "description",
+  "visibility",
+  "user_id",
+  "team_id",
+  "motor_positions_id",
+  "parent_id",
+];
 
 /**
  * @swagger
@@ -47,6 +84,21 @@ const ignoreCharacters = "1234567890 -_";
  *             type: string
  *           last_update_at:
  *             type: string
+ *           visibility:
+ *             type: string
+ *             enum: [private, team, public]
+ *           team:
+ *             type: object
+ *             nullable: true
+ *             description: the team owning the tacton, the user is the creator then
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *           metadata:
+ *             $ref: "#/components/schemas/tactonMetadata"
  *           motorPositions:
  *             $ref: "#/components/schemas/motorPositionResponse"
  *           tags:
@@ -73,34 +125,372 @@ const ignoreCharacters = "1234567890 -_";
  *           format: int32
  *         last_update_at:
  *           type: string
+ *         duration_ms:
+ *           type: number
+ *           format: int32
+ *         channel_count:
+ *           type: number
+ *           format: int32
+ *         instruction_count:
+ *           type: number
+ *           format: int32
+ *         peak_amplitude:
+ *           type: number
+ *           format: int32
+ *         mean_amplitude:
+ *           type: number
+ *           format: float
+ *         visibility:
+ *           type: string
+ *           enum: [private, team, public]
+ *         team_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: id of the team owning the tacton
+ *         parent_id:
+ *           type: string
+ *           format: uuid
+ *           description: id of the tacton this one was forked from
+ *     tactonMetadata:
+ *       type: object
+ *       description: Metadata derived from the libvtp buffer
+ *       properties:
+ *         duration:
+ *           type: number
+ *           format: int32
+ *           description: duration in ms
+ *         channels:
+ *           type: number
+ *           format: int32
+ *           description: number of used channels
+ *         instructions:
+ *           type: number
+ *           format: int32
+ *         peakAmplitude:
+ *           type: number
+ *           format: int32
+ *         meanAmplitude:
+ *           type: number
+ *           format: float
+ *     lineageNode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         parent_id:
+ *           type: string
+ *           format: uuid
+ *         last_update_at:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *         visibility:
+ *           type: string
+ *         hidden:
+ *           type: boolean
+ *           description: true if you are not allowed to see the tacton, only id and parent_id are provided then
+ *         children:
+ *           type: array
+ *           items:
+ *             type: object
+ *             description: lineageNode of the fork
+ *     instructionsResponse:
+ *       type: array
+ *       items:
+ *         type: object
+ *         properties:
+ *           index:
+ *             type: number
+ *             format: int32
+ *             description: position of the instruction in the libvtp buffer
+ *           type:
+ *             type: string
+ *             enum: [incrementTime, setAmplitude, setFrequency]
+ *           time:
+ *             type: number
+ *             format: int32
+ *             description: absolute time in ms
+ *           channel:
+ *             type: number
+ *             format: int32
+ *           amplitude:
+ *             type: number
+ *             format: int32
+ *           frequency:
+ *             type: number
+ *             format: int32
+ *     libvtpError:
+ *       type: object
+ *       properties:
+ *         msg:
+ *           type: string
+ *         instruction:
+ *           type: number
+ *           format: int32
+ *           description: index of the instruction which failed
+ *         word:
+ *           type: string
+ *           description: hex value of the failed instruction word
+ *
+ *   parameters:
+ *     tactonListAfter:
+ *       in: query
+ *       name: after
+ *       schema:
+ *         type: string
+ *       description: cursor from the header "X-Next-Cursor" of the previous page
+ *     tactonListLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: number
+ *         format: int32
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 50
+ *     tactonListSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [title, updated, duration, popularity]
+ *         default: updated
+ *       description: popularity is the number of forks
+ *     tactonListOrder:
+ *       in: query
+ *       name: order
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *       description: ascending for title, otherwise descending by default
+ *     tactonListAuthor:
+ *       in: query
+ *       name: author
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       description: id of the user who created the tactons
+ *     tactonListTag:
+ *       in: query
+ *       name: tag
+ *       schema:
+ *         type: string
+ *       description: name of a tag
+ *     tactonListBodyTag:
+ *       in: query
+ *       name: bodyTag
+ *       schema:
+ *         type: string
+ *       description: name of a body tag
+ *     tactonListLayout:
+ *       in: query
+ *       name: layout
+ *       schema:
+ *         type: number
+ *         format: int32
+ *       description: id of the motor positions
+ *     tactonListFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: only tactons updated at or after this date
+ *     tactonListTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: only tactons updated at or before this date
+ *   headers:
+ *     X-Total-Count:
+ *       description: total number of entries matching the query
+ *       schema:
+ *         type: number
+ *         format: int32
+ *     X-Ranked-Count:
+ *       description: >
+ *         number of results which are sorted by relevance and can be reached with the cursor,
+ *         less than X-Total-Count if there are more matching tactons than the ranking limit (1000)
+ *       schema:
+ *         type: number
+ *         format: int32
+ *     X-Next-Cursor:
+ *       description: cursor for the next page, missing on the last page
+ *       schema:
+ *         type: string
  *
  * /tactons:
  *    get:
- *      description: Get latest 50 tactons
- *      summary: get latest tactons
+ *      description: >
+ *        Get a page of tactons, the latest 50 tactons are listed by default.
+ *        Without login only public tactons are listed, otherwise your own and the tactons of your team as well.
+ *        Use the cursor from the header "X-Next-Cursor" to get the next page.
+ *      summary: get tactons
  *      operationId: getTwentyTactons
  *      tags:
  *        - tactons
  *      produces:
  *        - application/json
- *      parameters: []
- *      security: []
+ *      parameters:
+ *        - $ref: "#/components/parameters/tactonListAfter"
+ *        - $ref: "#/components/parameters/tactonListLimit"
+ *        - $ref: "#/components/parameters/tactonListSort"
+ *        - $ref: "#/components/parameters/tactonListOrder"
+ *        - $ref: "#/components/parameters/tactonListAuthor"
+ *        - $ref: "#/components/parameters/tactonListTag"
+ *        - $ref: "#/components/parameters/tactonListBodyTag"
+ *        - $ref: "#/components/parameters/tactonListLayout"
+ *        - $ref: "#/components/parameters/tactonListFrom"
+ *        - $ref: "#/components/parameters/tactonListTo"
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Returns an array with the tactons of the page.
+ *            Newest ones will be listed first by default.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid query
+ */
+router.get(
+  "/",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    // get data from db, only the tactons the user is allowed to see
+    const page = await getTactonList(ctx, "/gettactons", [
+      getVisibilityCondition(ctx.state.user),
+    ]);
+    setPaginationHeaders(ctx, page);
+
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
+
+/**
+ * @swagger
+ * /tactons/search:
+ *    get:
+ *      description: >
+ *        Search tactons with a query.
+ *        Words are matched against the title, the description and the (body)tag names.
+ *        All terms need to match, use OR for alternatives and NOT or "-" to exclude terms.
+ *        Use quotes for phrases and brackets to group terms.
+ *        Qualifiers: tag:name, bodytag:name, author:name, team:name and duration:<2s
+ *        (duration supports <, <=, >, >=, = with s or ms).
+ *        The results are sorted by relevance, unless another sort is given.
+ *        Only the 1000 newest matching tactons are sorted by relevance, X-Ranked-Count tells how many results can be reached.
+ *        Use a more specific query or another sort for more results.
+ *        Example: "left arm" (tag:workshop OR tag:demo) -draft duration:<=1500ms
+ *      summary: search tactons with a query
+ *      operationId: searchTactons
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: query
+ *        name: q
+ *        schema:
+ *          type: string
+ *          maxLength: 512
+ *        required: true
+ *        description: search query
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *          enum: [relevance, title, updated, duration, popularity]
+ *          default: relevance
+ *        description: sort the results by relevance or by a column
+ *      - $ref: "#/components/parameters/tactonListAfter"
+ *      - $ref: "#/components/parameters/tactonListLimit"
+ *      - $ref: "#/components/parameters/tactonListOrder"
+ *      - $ref: "#/components/parameters/tactonListAuthor"
+ *      - $ref: "#/components/parameters/tactonListTag"
+ *      - $ref: "#/components/parameters/tactonListBodyTag"
+ *      - $ref: "#/components/parameters/tactonListLayout"
+ *      - $ref: "#/components/parameters/tactonListFrom"
+ *      - $ref: "#/components/parameters/tactonListTo"
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
- *            Returns an array with 50 tactons if there are 50.
- *            Newest ones will be listed first.
+ *            Returns an array with the tactons of the page matching the query.
+ *            The most relevant ones will be listed first by default.
+ *            The order is ignored for the relevance.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *            X-Ranked-Count:
+ *              $ref: "#/components/headers/X-Ranked-Count"
  *          content:
  *            application/json:
  *              schema:
  *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid search query or invalid query
  */
-router.get("/", async (ctx) => {
-  // get data from db
-  const response = await dbServer.get("/gettactons");
-  // return to user
-  ctx.body = await createResponseData(response.data);
-});
+router.get(
+  "/search",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const parsed = parse(ctx.query.q);
+    if (!parsed.valid) {
+      ctx.throw(400, parsed.msg);
+    }
+
+    // only the tactons the user is allowed to see
+    const conditions = [
+      getVisibilityCondition(ctx.state.user),
+      toCondition(parsed.tree),
+    ];
+
+    // get data from db
+    let page;
+    if (ctx.query.sort == null || ctx.query.sort === "relevance") {
+      page = await getRankedTactonList(ctx, "/gettactons", conditions, (row) =>
+        rank(parsed.tree, row)
+      );
+    } else {
+      page = await getTactonList(ctx, "/gettactons", conditions);
+    }
+    setPaginationHeaders(ctx, page);
+
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
 
 /**
  * @swagger
@@ -109,6 +499,7 @@ router.get("/", async (ctx) => {
  *      description: >
  *        Search tactons by a term.
  *        (body)tag names and the title are used for the search.
+ *        The same pagination, sorting and filters as for the list of tactons can be used.
  *      summary: Search Tactons By Term
  *      operationId: searchTactonsByTerm
  *      tags:
@@ -120,63 +511,178 @@ router.get("/", async (ctx) => {
  *          type: string
  *        required: true
  *        description: something you wanna search
+ *      - $ref: "#/components/parameters/tactonListAfter"
+ *      - $ref: "#/components/parameters/tactonListLimit"
+ *      - $ref: "#/components/parameters/tactonListSort"
+ *      - $ref: "#/components/parameters/tactonListOrder"
+ *      - $ref: "#/components/parameters/tactonListAuthor"
+ *      - $ref: "#/components/parameters/tactonListTag"
+ *      - $ref: "#/components/parameters/tactonListBodyTag"
+ *      - $ref: "#/components/parameters/tactonListLayout"
+ *      - $ref: "#/components/parameters/tactonListFrom"
+ *      - $ref: "#/components/parameters/tactonListTo"
  *      produces:
  *        - application/json
- *      security: []
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
- *            Returns an array with max 50 tactons matching the term.
- *            Newest ones will be listed first.
+ *            Returns an array with the tactons of the page matching the term.
+ *            Newest ones will be listed first by default.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
  *          content:
  *            application/json:
  *              schema:
  *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid query
  */
-router.get("/search/:term", async (ctx) => {
-  // get data from db
-  const response = await dbServer.get(
-    `/rpc/searchTactons?term=${ctx.params.term}`
-  );
+router.get(
+  "/search/:term",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    // get data from db, only the tactons the user is allowed to see
+    const page = await getTactonList(
+      ctx,
+      `/rpc/searchTactons?term=${encodeURIComponent(ctx.params.term)}`,
+      [getVisibilityCondition(ctx.state.user)]
+    );
+    setPaginationHeaders(ctx, page);
 
-  // return to user
-  ctx.body = await createResponseData(response.data);
-});
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
 
 /**
  * @swagger
  * /tactons/own:
  *    get:
- *      description: Returns all own tactons
+ *      description: >
+ *        Returns own tactons.
+ *        The same pagination, sorting and filters as for the list of tactons can be used.
  *      summary: get own tactons
  *      operationId: getOwnTactons
  *      tags:
  *        - tactons
  *      produces:
  *        - application/json
- *      parameters: []
+ *      parameters:
+ *        - $ref: "#/components/parameters/tactonListAfter"
+ *        - $ref: "#/components/parameters/tactonListLimit"
+ *        - $ref: "#/components/parameters/tactonListSort"
+ *        - $ref: "#/components/parameters/tactonListOrder"
+ *        - $ref: "#/components/parameters/tactonListTag"
+ *        - $ref: "#/components/parameters/tactonListBodyTag"
+ *        - $ref: "#/components/parameters/tactonListLayout"
+ *        - $ref: "#/components/parameters/tactonListFrom"
+ *        - $ref: "#/components/parameters/tactonListTo"
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
- *            Returns an array with all tactons from yourself. Newest ones will be listed first.
+ *            Returns an array with the tactons of the page from yourself. Newest ones will be listed first by default.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
  *          content:
  *            application/json:
  *              schema:
  *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid query
  *        401:
  *          description: Authentication Error
  */
-router.get("/own", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  // get data from db
-  const response = await dbServer.get(
-    `/rpc/getTactonsById?requestid=${ctx.state.user.id}`
-  );
+router.get(
+  "/own",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:read" }),
+  async (ctx) => {
+    // get data from db
+    const page = await getTactonList(ctx, "/gettactons", [
+      `user_id.eq.${ctx.state.user.id}`,
+    ]);
+    setPaginationHeaders(ctx, page);
+
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
 
-  // return to user
-  ctx.body = await createResponseData(response.data);
-});
+/**
+ * @swagger
+ * /tactons/{id}/instructions:
+ *    get:
+ *      description: >
+ *        Decodes the libvtp buffer of a tacton and returns the instructions.
+ *        The time of every instruction is the absolute time in ms since the start of the tacton.
+ *      summary: get decoded libvtp instructions of a tacton
+ *      operationId: getTactonInstructions
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the decoded instructions
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/instructionsResponse"
+ *        400:
+ *          description: Invalid id or the libvtp buffer can't be decoded
+ */
+router.get(
+  "/:id/instructions",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    // get data from db
+    const tacton = await getViewableTacton(ctx, id, "libvtp");
+
+    // decode the buffer
+    const decoded = decode(tacton.libvtp);
+    if (!decoded.valid) {
+      ctx.throw(400, `Invalid libvtp buffer: ${decoded.msg}`);
+    }
+
+    // return to user
+    ctx.body = decoded.instructions;
+  }
+);
 
 /**
  * @swagger
@@ -207,6 +713,14 @@ router.get("/own", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
  *                  type: string
  *                libvtp:
  *                  type: string
+ *                visibility:
+ *                  type: string
+ *                  enum: [private, team, public]
+ *                  default: public
+ *                teamId:
+ *                  type: string
+ *                  format: uuid
+ *                  description: add the tacton to the library of your team
  *                positions:
  *                  type: array
  *                  items:
@@ -255,6 +769,7 @@ router.get("/own", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
@@ -265,12 +780,18 @@ router.get("/own", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
  *              schema:
  *                $ref: "#/components/schemas/tactonResponse"
  *        400:
- *          description: Invalid request
+ *          description: >
+ *            Invalid request.
+ *            An invalid libvtp buffer returns an object with the failed instruction.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/libvtpError"
  */
 router.post(
   "/combined",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write", can: "tactons:create" }),
   koaBody(),
   async (ctx) => {
     // variables from request
@@ -280,6 +801,8 @@ router.post(
     const motorPositionsArray = ctx.request.body.positions;
     const tagsArray = ctx.request.body.tags;
     const bodytagsArray = ctx.request.body.bodyTags;
+    const visibility = ctx.request.body.visibility;
+    const teamId = ctx.request.body.teamId;
 
     // variables for our database actions
     let tags = [];
@@ -308,8 +831,27 @@ router.post(
       ctx.throw(400, "Invalid title");
     }
 
+    if (visibility != null && !visibilities.includes(visibility)) {
+      ctx.throw(400, "Invalid visibility");
+    }
+
+    if (teamId != null) {
+      await validateTeamId(ctx, teamId);
+    }
+
+    // check the libvtp buffer against the motor positions before saving anything
+    const positions = await postMotorPositionsTypeValidation(ctx);
+    const libvtpValidation = validate(libvtpHexString, {
+      maxSize: config.libvtpMaxSize,
+      channels: positions.x.length,
+    });
+    if (!libvtpValidation.valid) {
+      ctx.status = 400;
+      ctx.body = createLibvtpError(libvtpValidation);
+      return;
+    }
+
     // do request for the motorpositions
-    await postMotorPositionsTypeValidation(ctx);
     const motorPositionObject = await postMotorPositions(ctx, true);
 
     if (tagsArray != null) {
@@ -340,11 +882,17 @@ router.post(
       description: description,
       libvtp: libvtpHexString,
       motor_positions_id: motorPositionObject.id,
+      visibility: visibility != null ? visibility : "public",
+      team_id: teamId != null ? teamId : null,
       last_update_at: new Date(),
+      ...getMetadata(libvtpValidation.instructions),
     };
     const tactonResponse = await dbServer.post("/tactons", payload);
     const newTacton = tactonResponse.data[0];
 
+    // save the first revision
+    await postRevision(newTacton, ctx.state.user.id);
+
     if (tagsArray != null) {
       if (tagsArray.length > 0) {
         // after adding the payload we need to add the link between tacton and tags / bodytags
@@ -359,6 +907,11 @@ router.post(
         await linkTags(newTacton.id, bodyTags, true);
       }
     }
+    await audit(ctx, "tacton.create", {
+      targetId: newTacton.id,
+      after: pick(newTacton, auditFields),
+      details: { tags: tagsArray, bodyTags: bodytagsArray },
+    });
 
     // return the tacton to the user
     ctx.body = newTacton;
@@ -418,6 +971,7 @@ router.post(
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        201:
  *          description: >
@@ -432,7 +986,7 @@ router.post(
 router.post(
   "/add",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write" }),
   koaBody(),
   async (ctx) => {
     const id = ctx.request.body.id;
@@ -464,8 +1018,8 @@ router.post(
     }
     const tacton = tactonResponse.data[0];
 
-    // check if the user is not an admin
-    if (!ctx.state.user.admin && tacton.user_id !== ctx.state.user.id) {
+    // check if the user is allowed to edit the tacton (creator, team or admin)
+    if (!canEditTacton(ctx.state.user, tacton)) {
       ctx.throw(401, "Authentication Error");
     }
 
@@ -486,6 +1040,10 @@ router.post(
         await linkTags(tacton.id, bodytagsToAdd, true);
       }
     }
+    await audit(ctx, "tacton.update", {
+      targetId: tacton.id,
+      details: { addedTags: requestedTags, addedBodyTags: requestedBodytags },
+    });
 
     ctx.status = 201;
   }
@@ -543,6 +1101,7 @@ router.post(
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -553,7 +1112,7 @@ router.post(
 router.post(
   "/remove",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write" }),
   koaBody(),
   async (ctx) => {
     const id = ctx.request.body.id;
@@ -583,8 +1142,8 @@ router.post(
     }
     const tacton = tactonResponse.data[0];
 
-    // check if the user is not an admin
-    if (!ctx.state.user.admin && tacton.user_id !== ctx.state.user.id) {
+    // check if the user is allowed to edit the tacton (creator, team or admin)
+    if (!canEditTacton(ctx.state.user, tacton)) {
       ctx.throw(401, "Authentication Error");
     }
 
@@ -601,6 +1160,13 @@ router.post(
         await getTagsByNameAndRemoveLink(requestedBodytags, tacton.id, true);
       }
     }
+    await audit(ctx, "tacton.update", {
+      targetId: tacton.id,
+      details: {
+        removedTags: requestedTags,
+        removedBodyTags: requestedBodytags,
+      },
+    });
 
     ctx.status = 204;
   }
@@ -613,6 +1179,7 @@ router.post(
  *      description: >
  *        Update a tacton.
  *        You can only update your own tacton, which you created. Admins can edit all tactons.
+ *        Tactons of a team can be updated by the owners and maintainers of the team as well.
  *      summary: update tacton
  *      operationId: updateTacton
  *      tags:
@@ -642,6 +1209,16 @@ router.post(
  *                  type: string
  *                libvtp:
  *                  type: string
+ *                visibility:
+ *                  type: string
+ *                  enum: [private, team, public]
+ *                teamId:
+ *                  type: string
+ *                  format: uuid
+ *                  nullable: true
+ *                  description: >
+ *                    move the tacton to the library of your team,
+ *                    null moves it back to the creator
  *                positions:
  *                  type: array
  *                  items:
@@ -663,6 +1240,7 @@ router.post(
  *                ]
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: Returns an array with the updated object
@@ -671,14 +1249,20 @@ router.post(
  *              schema:
  *                $ref: "#/components/schemas/tactonResponse"
  *        400:
- *          description: Invalid request
+ *          description: >
+ *            Invalid request.
+ *            An invalid libvtp buffer returns an object with the failed instruction.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/libvtpError"
  *        401:
  *          description: Authentication Error
  */
 router.patch(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write" }),
   koaBody(),
   async (ctx) => {
     const id = ctx.params.id;
@@ -686,6 +1270,8 @@ router.patch(
     let description = ctx.request.body.description;
     const libvtpHexString = ctx.request.body.libvtp;
     const motorPositionsArray = ctx.request.body.positions;
+    const visibility = ctx.request.body.visibility;
+    const teamId = ctx.request.body.teamId;
     const payload = {};
 
     // check for the id first
@@ -698,7 +1284,9 @@ router.patch(
       title == null &&
       description == null &&
       libvtpHexString == null &&
-      motorPositionsArray == null
+      motorPositionsArray == null &&
+      visibility == null &&
+      teamId === undefined
     ) {
       ctx.throw(400, "missing body parameters");
     }
@@ -737,6 +1325,16 @@ router.patch(
       payload.libvtp = false;
     }
 
+    // if we have an updated visibility, add it to the payload
+    if (visibility != null) {
+      if (!visibilities.includes(visibility)) {
+        ctx.throw(400, "Invalid visibility");
+      }
+      payload.visibility = visibility;
+    } else {
+      payload.visibility = false;
+    }
+
     // search for the tacton we wanna update
     const tactonResponse = await dbServer.get(`/tactons?id=eq.${id}`);
     if (tactonResponse.data.length !== 1) {
@@ -745,11 +1343,45 @@ router.patch(
 
     const oldTactonData = tactonResponse.data[0];
 
-    // check if the tacton is from the user, or the user is an admin
-    if (!ctx.state.user.admin && oldTactonData.user_id !== ctx.state.user.id) {
+    // check if the user is allowed to edit the tacton (creator, team or admin)
+    if (!canEditTacton(ctx.state.user, oldTactonData)) {
       ctx.throw(401, "Authentication Error");
     }
 
+    // if we have an updated team, add it to the payload
+    if (teamId !== undefined) {
+      if (teamId !== null) {
+        await validateTeamId(ctx, teamId);
+      }
+      payload.team_id = teamId;
+    } else {
+      payload.team_id = false;
+    }
+
+    // check the libvtp buffer if the buffer or the motor positions will change
+    let metadata = {};
+    if (libvtpHexString != null || motorPositionsArray != null) {
+      let channels;
+      if (motorPositionsArray != null) {
+        const positions = await postMotorPositionsTypeValidation(ctx);
+        channels = positions.x.length;
+      } else {
+        channels = await getChannelCount(oldTactonData.motor_positions_id);
+      }
+
+      const libvtpValidation = validate(
+        payload.libvtp === false ? oldTactonData.libvtp : payload.libvtp,
+        { maxSize: config.libvtpMaxSize, channels: channels }
+      );
+      if (!libvtpValidation.valid) {
+        ctx.status = 400;
+        ctx.body = createLibvtpError(libvtpValidation);
+        return;
+      }
+
+      metadata = getMetadata(libvtpValidation.instructions);
+    }
+
     // check if we need to update the motorPositions
     try {
       if (motorPositionsArray != null) {
@@ -776,7 +1408,14 @@ router.patch(
         payload.motor_positions_id === false
           ? oldTactonData.motor_positions_id
           : payload.motor_positions_id,
+      visibility:
+        payload.visibility === false
+          ? oldTactonData.visibility
+          : payload.visibility,
+      team_id:
+        payload.team_id === false ? oldTactonData.team_id : payload.team_id,
       last_update_at: new Date(),
+      ...metadata,
     };
 
     // do the database request
@@ -784,10 +1423,447 @@ router.patch(
       `/tactons?id=eq.${id}`,
       newPayload
     );
+
+    // keep the updated state in the revision history
+    await postRevision(
+      updatedTactonResponse.data[0],
+      ctx.state.user.id,
+      oldTactonData
+    );
+    await audit(ctx, "tacton.update", {
+      targetId: id,
+      before: pick(oldTactonData, auditFields),
+      after: pick(updatedTactonResponse.data[0], auditFields),
+      details: { contentChanged: libvtpHexString != null },
+    });
+
     ctx.body = updatedTactonResponse.data;
   }
 );
 
+/**
+ * @swagger
+ * /tactons/{id}/fork:
+ *    post:
+ *      description: >
+ *        Fork a tacton to remix it. You can fork every tacton you are allowed to see.
+ *        The tacton is copied into your account with its libvtp, motor positions, tags and body tags.
+ *        The forked tacton remembers the tacton it was forked from (see lineage).
+ *        A fork is never more visible than the tacton, unless you created the tacton.
+ *      summary: fork tacton
+ *      operationId: forkTacton
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton to fork
+ *      requestBody:
+ *        required: false
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                visibility:
+ *                  type: string
+ *                  enum: [private, team, public]
+ *                  description: >
+ *                    visibility of the fork, the visibility of the tacton by default.
+ *                    Only the creator of the tacton can choose a wider visibility.
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns the base object of the new tacton.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/tactonResponse"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/fork",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write", can: "tactons:create" }),
+  koaBody(),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    // get the tacton we wanna fork, only visible tactons can be forked
+    const parent = await getViewableTacton(ctx, id);
+    const visibility = getCopyVisibility(
+      ctx,
+      parent,
+      ctx.request.body.visibility
+    );
+
+    // copy the tacton into the account of the user
+    const payload = {
+      user_id: ctx.state.user.id,
+      title: parent.title,
+      description: parent.description,
+      libvtp: parent.libvtp,
+      motor_positions_id: parent.motor_positions_id,
+      duration_ms: parent.duration_ms,
+      channel_count: parent.channel_count,
+      instruction_count: parent.instruction_count,
+      peak_amplitude: parent.peak_amplitude,
+      mean_amplitude: parent.mean_amplitude,
+      parent_id: parent.id,
+      visibility: visibility,
+      last_update_at: new Date(),
+    };
+    const newTactonResponse = await dbServer.post("/tactons", payload);
+    const newTacton = newTactonResponse.data[0];
+
+    // copy the links of the tags and bodytags
+    await copyTagLinks(parent.id, newTacton.id);
+    await copyTagLinks(parent.id, newTacton.id, true);
+
+    // save the first revision
+    await postRevision(newTacton, ctx.state.user.id);
+    await audit(ctx, "tacton.fork", {
+      targetId: newTacton.id,
+      after: pick(newTacton, auditFields),
+    });
+
+    // return the tacton to the user
+    ctx.body = newTacton;
+  }
+);
+
+/**
+ * @swagger
+ * /tactons/{id}/retarget:
+ *    post:
+ *      description: >
+ *        Create a new tacton for another motor layout from a tacton you are allowed to see.
+ *        The channels of the libvtp buffer are remapped to the motors of the target layout.
+ *        By default every motor is mapped to the nearest motor (3D position) of the target layout.
+ *        Use the channel map to decide it on your own, channels missing in the map are removed.
+ *        The new tacton remembers the tacton it was created from (see lineage).
+ *      summary: retarget tacton to another motor layout
+ *      operationId: retargetTacton
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton to retarget
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                motorPositionsId:
+ *                  type: number
+ *                  format: int32
+ *                  description: id of the target motor layout
+ *                channelMap:
+ *                  type: object
+ *                  description: >
+ *                    channel of the tacton as key and the channel of the target layout as value,
+ *                    an array with the target channels works as well
+ *                  additionalProperties:
+ *                    type: number
+ *                    format: int32
+ *                title:
+ *                  type: string
+ *                  description: title of the new tacton, the title of the tacton is used by default
+ *                visibility:
+ *                  type: string
+ *                  enum: [private, team, public]
+ *                  description: >
+ *                    visibility of the new tacton, the visibility of the tacton by default.
+ *                    Only the creator of the tacton can choose a wider visibility.
+ *              required:
+ *                - motorPositionsId
+ *              example:
+ *                motorPositionsId: 2
+ *                channelMap: { "0": 0, "1": 0, "2": 3 }
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Returns the base object of the new tacton
+ *            and the channel map which was used (index is the old channel, null if removed).
+ *          content:
+ *            application/json:
+ *              schema:
+ *                allOf:
+ *                  - $ref: "#/components/schemas/tactonResponse"
+ *                  - type: object
+ *                    properties:
+ *                      channelMap:
+ *                        type: array
+ *                        items:
+ *                          type: number
+ *                          format: int32
+ *                          nullable: true
+ *        400:
+ *          description: >
+ *            Invalid request.
+ *            An invalid libvtp buffer returns an object with the failed instruction.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/libvtpError"
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/retarget",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write", can: "tactons:create" }),
+  koaBody(),
+  async (ctx) => {
+    const id = ctx.params.id;
+    const targetId = ctx.request.body.motorPositionsId;
+    let title = ctx.request.body.title;
+
+    if (id == null || targetId == null) {
+      ctx.throw(400, "missing id or motorPositionsId");
+    }
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+    if (!validator.isInt(String(targetId))) {
+      ctx.throw(400, "Invalid motorPositionsId");
+    }
+    if (title != null) {
+      title = validator.trim(title);
+      if (
+        !validator.isLength(title, { min: 2, max: 128 }) ||
+        !validator.isAlpha(title, "en-US", { ignore: ignoreCharacters })
+      ) {
+        ctx.throw(400, "Invalid title");
+      }
+    }
+
+    // get the tacton we wanna retarget, only visible tactons can be used
+    const parent = await getViewableTacton(ctx, id);
+    const visibility = getCopyVisibility(
+      ctx,
+      parent,
+      ctx.request.body.visibility
+    );
+
+    // get both layouts
+    const layoutResponse = await dbServer.get(
+      `/motor_positions?id=in.(${parent.motor_positions_id},${targetId})&select=id,x,y,z`
+    );
+    const source = layoutResponse.data.find(
+      (layout) => layout.id === parent.motor_positions_id
+    );
+    const target = layoutResponse.data.find(
+      (layout) => layout.id === parseInt(targetId)
+    );
+    if (target == null) {
+      ctx.throw(400, "Invalid motorPositionsId");
+    }
+
+    const channelMap =
+      ctx.request.body.channelMap != null
+        ? createChannelMap(ctx, ctx.request.body.channelMap, source, target)
+        : getNearestChannelMap(source, target);
+
+    // remap the channels and create the new buffer
+    const decoded = decode(parent.libvtp);
+    if (!decoded.valid) {
+      ctx.status = 400;
+      ctx.body = createLibvtpError(decoded);
+      return;
+    }
+    const libvtp = encode(mapInstructions(decoded.instructions, channelMap));
+
+    const libvtpValidation = validate(libvtp, {
+      maxSize: config.libvtpMaxSize,
+      channels: target.x.length,
+    });
+    if (!libvtpValidation.valid) {
+      ctx.status = 400;
+      ctx.body = createLibvtpError(libvtpValidation);
+      return;
+    }
+
+    // create the tacton in the account of the user
+    const payload = {
+      user_id: ctx.state.user.id,
+      title: title != null ? title : parent.title,
+      description: parent.description,
+      libvtp: libvtp,
+      motor_positions_id: target.id,
+      ...getMetadata(libvtpValidation.instructions),
+      parent_id: parent.id,
+      visibility: visibility,
+      last_update_at: new Date(),
+    };
+    const newTactonResponse = await dbServer.post("/tactons", payload);
+    const newTacton = newTactonResponse.data[0];
+
+    // copy the links of the tags and bodytags
+    await copyTagLinks(parent.id, newTacton.id);
+    await copyTagLinks(parent.id, newTacton.id, true);
+
+    // save the first revision
+    await postRevision(newTacton, ctx.state.user.id);
+    await audit(ctx, "tacton.retarget", {
+      targetId: newTacton.id,
+      after: pick(newTacton, auditFields),
+      details: { channelMap: channelMap },
+    });
+
+    // return the tacton to the user
+    ctx.body = { ...newTacton, channelMap: channelMap };
+  }
+);
+
+/**
+ * @swagger
+ * /tactons/{id}/lineage:
+ *    get:
+ *      description: >
+ *        Get the lineage of a tacton.
+ *        Ancestors are listed from the original tacton to the direct parent.
+ *        Descendants are returned as tree, every fork contains its own forks as children.
+ *      summary: get lineage of a tacton
+ *      operationId: getTactonLineage
+ *      tags:
+ *        - tactons
+ *      parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the tacton
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns the ancestors and the tacton with all descendants
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  ancestors:
+ *                    type: array
+ *                    items:
+ *                      $ref: "#/components/schemas/lineageNode"
+ *                  tacton:
+ *                    $ref: "#/components/schemas/lineageNode"
+ *        400:
+ *          description: Invalid id
+ */
+router.get(
+  "/:id/lineage",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const id = ctx.params.id;
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isUUID(id)) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    const tactonResponse = await dbServer.get(
+      `/tactons?id=eq.${id}&select=${lineageSelect}`
+    );
+    if (
+      tactonResponse.data.length !== 1 ||
+      !canViewTacton(
+        ctx.state.user,
+        tactonResponse.data[0],
+        tactonResponse.data[0].user.team_id
+      )
+    ) {
+      ctx.throw(400, "No unique tacton found");
+    }
+    const tacton = tactonResponse.data[0];
+
+    // remember every visited tacton, so we can't end in a loop
+    const visited = new Set([tacton.id]);
+
+    // walk up to the original tacton
+    const ancestors = [];
+    let parentId = tacton.parent_id;
+    while (parentId != null && !visited.has(parentId)) {
+      const parentResponse = await dbServer.get(
+        `/tactons?id=eq.${parentId}&select=${lineageSelect}`
+      );
+      if (parentResponse.data.length !== 1) {
+        break;
+      }
+      const parent = parentResponse.data[0];
+      visited.add(parent.id);
+      ancestors.unshift(parent);
+      parentId = parent.parent_id;
+    }
+
+    // walk down level by level and create the tree
+    tacton.children = [];
+    let level = [tacton];
+    while (level.length > 0) {
+      const childrenResponse = await dbServer.get(
+        `/tactons?parent_id=in.(${level
+          .map((node) => node.id)
+          .join()})&select=${lineageSelect}&order=last_update_at.asc`
+      );
+
+      const nextLevel = [];
+      childrenResponse.data.forEach((child) => {
+        if (visited.has(child.id)) {
+          return;
+        }
+        visited.add(child.id);
+        child.children = [];
+        level.find((node) => node.id === child.parent_id).children.push(child);
+        nextLevel.push(child);
+      });
+      level = nextLevel;
+    }
+
+    // hide the tactons the user is not allowed to see, but keep the structure
+    ctx.body = {
+      ancestors: ancestors.map((node) =>
+        createLineageNode(ctx.state.user, node)
+      ),
+      tacton: createLineageNode(ctx.state.user, tacton),
+    };
+  }
+);
+
 /**
  * @swagger
  * /tactons/{tactonId}:
@@ -795,6 +1871,7 @@ router.patch(
  *      description: >
  *        Delete a tacton.
  *        You can only delete your own tacton, which you created. Admins can delete all tactons.
+ *        Tactons of a team can be deleted by the owners and maintainers of the team as well.
  *      summary: delete tacton
  *      operationId: deleteTacton
  *      tags:
@@ -809,6 +1886,7 @@ router.patch(
  *        description: Unique id of the tacton
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -819,90 +1897,128 @@ router.patch(
  *        401:
  *          description: Authentication Error
  */
-router.delete("/:id", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  // validate the input
-  const id = ctx.params.id;
-
-  // tag id first
-  if (id == null) {
-    ctx.throw(400, "missing id");
-  }
-  if (!validator.isUUID(id)) {
-    ctx.throw(400, "Invalid id");
-  }
-
-  // check if the user is not an admin
-  if (!ctx.state.user.admin) {
-    // find our entry
-    const entryResponse = await dbServer.get(`/tactons?id=eq.${id}`);
+router.delete(
+  "/:id",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write" }),
+  async (ctx) => {
+    // validate the input
+    const id = ctx.params.id;
 
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
+    // tag id first
+    if (id == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isUUID(id)) {
       ctx.throw(400, "Invalid id");
     }
 
-    if (entryResponse.data[0].user_id !== ctx.state.user.id) {
-      ctx.throw(401, "Authentication Error");
+    // check if the user is not allowed to delete every tacton
+    if (!can(ctx.state.user, "tactons:delete:any")) {
+      // find our entry
+      const entryResponse = await dbServer.get(`/tactons?id=eq.${id}`);
+
+      // check if we have an entry
+      if (entryResponse.data.length !== 1) {
+        ctx.throw(400, "Invalid id");
+      }
+
+      // creator or the team of the tacton
+      if (!canEditTacton(ctx.state.user, entryResponse.data[0])) {
+        ctx.throw(401, "Authentication Error");
+      }
     }
-  }
 
-  // deleting a tacton will automatically delete the links (cascade deletion)
-  await dbServer.delete(`/tactons?id=eq.${id}`);
+    // deleting a tacton will automatically delete the links (cascade deletion)
+    const deleteResponse = await dbServer.delete(`/tactons?id=eq.${id}`, {
+      headers: { Prefer: "return=representation" },
+    });
+    if (deleteResponse.data.length > 0) {
+      await audit(ctx, "tacton.delete", {
+        targetId: id,
+        before: pick(deleteResponse.data[0], auditFields),
+      });
+    }
 
-  ctx.status = 204;
-});
+    ctx.status = 204;
+  }
+);
 
 export default router;
 
 // ---- helper functions ----
-async function createResponseData(data) {
-  return new Promise((resolve) => {
-    // check if the length is null, if it is, then resolve with empty array
-    if (data.length === 0) {
-      resolve([]);
-    }
-
-    // remove duplicates, adjust motorposition output
-    for (let i = 0; i < data.length; i++) {
-      // filter duplicates from the tags
-      data[i].tags = filterArrayById(data[i].tags);
-
-      // check if we have an empty tag entry (database can return an entry with null if there is no tag)
-      // it will return an array with exact one entry then
-      if (data[i].tags.length === 1) {
-        // since there can be an entry with one tag as well, we need to check if the the id/name/creator_id is null
-        if (data[i].tags[0].id === null) {
-          // this entry is empty, so we can assign an empty array to the tacton
-          data[i].tags = [];
-        }
-      }
+// users can only add tactons to their own team, admins to every team
+async function validateTeamId(ctx, teamId) {
+  const team = await getTeam(ctx, teamId);
+  if (
+    !can(ctx.state.user, "teams:manage") &&
+    ctx.state.user.teamId !== team.id
+  ) {
+    ctx.throw(401, "You can only add tactons to your own team");
+  }
+}
 
-      // filter duplicates from the bodytags
-      data[i].bodytags = filterArrayById(data[i].bodytags);
-      // check if we have an empty bodytag entry (database can return an entry with null if there is no bodytag)
-      // it will return an array with exact one entry then
-      if (data[i].bodytags.length === 1) {
-        // since there can be an entry with one tag as well, we need to check if the the id/name/creator_id is null
-        if (data[i].bodytags[0].id === null) {
-          // this entry is empty, so we can assign an empty array to the tacton
-          data[i].bodytags = [];
-        }
-      }
+// copies get the visibility of the tacton by default, only its creator can make a copy more visible
+function getCopyVisibility(ctx, parent, visibility) {
+  if (visibility == null) {
+    return parent.visibility;
+  }
+  if (!visibilities.includes(visibility)) {
+    ctx.throw(400, "Invalid visibility");
+  }
+  if (
+    parent.user_id !== ctx.state.user.id &&
+    visibilities.indexOf(visibility) > visibilities.indexOf(parent.visibility)
+  ) {
+    ctx.throw(400, "The copy can't be more visible than the tacton");
+  }
+  return visibility;
+}
+
+function createLibvtpError(validation) {
+  // tell the client which instruction of the buffer failed
+  return {
+    msg: validation.msg,
+    instruction: validation.instruction,
+    word: validation.word,
+  };
+}
+
+// creates the channel map from the request, the index is the channel of the source
+function createChannelMap(ctx, requestMap, source, target) {
+  if (typeof requestMap !== "object") {
+    ctx.throw(400, "channelMap needs to be an object or array");
+  }
 
-      // convert / map the motorpositions output
-      data[i].motorpositions = mapOutput(data[i].motorpositions);
+  const channelMap = source.x.map(() => null);
+  Object.keys(requestMap).forEach((key) => {
+    const from = String(key);
+    const to = String(requestMap[key]);
 
-      if (i === data.length - 1) {
-        resolve(data);
-      }
+    if (!validator.isInt(from, { min: 0, max: source.x.length - 1 })) {
+      ctx.throw(400, `Invalid channel ${from} in channelMap`);
     }
+    if (
+      requestMap[key] != null &&
+      !validator.isInt(to, { min: 0, max: target.x.length - 1 })
+    ) {
+      ctx.throw(400, `Invalid target channel ${to} in channelMap`);
+    }
+
+    channelMap[parseInt(from)] = requestMap[key] != null ? parseInt(to) : null;
   });
+
+  return channelMap;
 }
 
-function filterArrayById(array) {
-  return array.filter(
-    (arr, index, self) => index === self.findIndex((t) => t.id === arr.id)
+async function getChannelCount(motorPositionsId) {
+  const response = await dbServer.get(
+    `/motor_positions?id=eq.${motorPositionsId}&select=x`
   );
+  if (response.data.length !== 1) {
+    return 0;
+  }
+  return response.data[0].x.length;
 }
 
 async function createAndReturnTags(ctx, t, bodyTags = false) {
@@ -965,6 +2081,52 @@ async function getTagsByNameAndRemoveLink(t, id, bodyTags = false) {
   return deletedArray;
 }
 
+function createLineageNode(user, node) {
+  const children = (node.children || []).map((child) =>
+    createLineageNode(user, child)
+  );
+
+  if (!canViewTacton(user, node, node.user.team_id)) {
+    return {
+      id: node.id,
+      parent_id: node.parent_id,
+      hidden: true,
+      children: children,
+    };
+  }
+
+  return {
+    id: node.id,
+    title: node.title,
+    parent_id: node.parent_id,
+    last_update_at: node.last_update_at,
+    visibility: node.visibility,
+    user: { id: node.user.id, name: node.user.name },
+    children: children,
+  };
+}
+
+async function copyTagLinks(fromTactonId, toTactonId, bodyTags = false) {
+  const url = bodyTags ? "/tacton_bodytag_link" : "/tacton_tag_link";
+  const tagPropId = bodyTags ? "bodytag_id" : "tag_id";
+
+  const response = await dbServer.get(
+    `${url}?tacton_id=eq.${fromTactonId}&select=${tagPropId}`
+  );
+  if (response.data.length === 0) {
+    return;
+  }
+
+  // postgREST can insert all links with one request
+  await dbServer.post(
+    url,
+    response.data.map((link) => ({
+      tacton_id: toTactonId,
+      [tagPropId]: link[tagPropId],
+    }))
+  );
+}
+
 async function linkTags(tactonId, tags, bodyTags = false) {
   const tagLinkPromiseArray = [];
   const url = bodyTags ? "/tacton_bodytag_link" : "/tacton_tag_link";
@@ -1,10 +1,12 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
+import { can } from "../auth/roles.js";
 import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { audit } from "../audit/index.js";
 import dbServer from "../database/dbServer.js";
 
 const router = new Router({ prefix: "/tags" });
@@ -191,6 +193,7 @@ router.get("/search/name/:name", async (ctx) => {
  *      parameters: []
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
@@ -206,7 +209,7 @@ router.get("/search/name/:name", async (ctx) => {
 router.post(
   "/",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write", can: "tags:create" }),
   koaBody(),
   async (ctx) => {
     await tagsPost(ctx);
@@ -259,6 +262,10 @@ export async function tagsPost(ctx, returnsValue = false, n = "") {
 
   // push into database and return the data
   const newData = await dbServer.post("/tags", payload);
+  await audit(ctx, "tag.create", {
+    targetId: newData.data[0].id,
+    after: newData.data[0],
+  });
 
   if (!returnsValue) ctx.body = newData.data;
   else return newData.data;
@@ -298,6 +305,7 @@ export async function tagsPost(ctx, returnsValue = false, n = "") {
  *                  description: Alpha Numeric only!
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: Returns an array with the updated object
@@ -313,7 +321,7 @@ export async function tagsPost(ctx, returnsValue = false, n = "") {
 router.patch(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ scope: "tactons:write" }),
   koaBody(),
   async (ctx) => {
     // validate the input
@@ -355,6 +363,15 @@ router.patch(
     }
 
     const data = entryResponse.data[0];
+
+    // only the creator or users who manage the tags can rename it
+    if (
+      data.creator_id !== ctx.state.user.id &&
+      !can(ctx.state.user, "tags:manage")
+    ) {
+      ctx.throw(401, "Authentication Error");
+    }
+
     const validation = await validateUniqueName(name);
     if (!validation.valid) {
       ctx.throw(400, validation.msg);
@@ -369,6 +386,11 @@ router.patch(
       `/tags?id=eq.${data.id}`,
       payload
     );
+    await audit(ctx, "tag.update", {
+      targetId: data.id,
+      before: data,
+      after: updatedResponse.data[0],
+    });
 
     ctx.body = updatedResponse.data;
   }
@@ -395,6 +417,7 @@ router.patch(
  *        description: Unique id of the tag
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -405,37 +428,150 @@ router.patch(
  *        401:
  *          description: Authentication Error
  */
-router.delete("/:id", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  // validate the input
-  const tagId = ctx.params.id;
+router.delete(
+  "/:id",
+  jwtAuth(jwtAuthOptions),
+  permission({ scope: "tactons:write" }),
+  async (ctx) => {
+    // validate the input
+    const tagId = ctx.params.id;
 
-  // tag id first
-  if (tagId == null) {
-    ctx.throw(400, "missing id");
-  }
-  if (!validator.isInt(tagId)) {
-    ctx.throw(400, "Invalid id");
-  }
+    // tag id first
+    if (tagId == null) {
+      ctx.throw(400, "missing id");
+    }
+    if (!validator.isInt(tagId)) {
+      ctx.throw(400, "Invalid id");
+    }
 
-  // check if the user is not an admin
-  if (!ctx.state.user.admin) {
-    // find our entry
-    const entryResponse = await dbServer.get(`/tags?id=eq.${tagId}`);
+    // check if the user is not allowed to delete every tag
+    if (!can(ctx.state.user, "tags:manage")) {
+      // find our entry
+      const entryResponse = await dbServer.get(`/tags?id=eq.${tagId}`);
 
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
-      ctx.throw(400, "Invalid id");
+      // check if we have an entry
+      if (entryResponse.data.length !== 1) {
+        ctx.throw(400, "Invalid id");
+      }
+
+      if (entryResponse.data[0].creator_id !== ctx.state.user.id) {
+        ctx.throw(401, "Authentication Error");
+      }
     }
 
-    if (entryResponse.data[0].creator_id !== ctx.state.user.id) {
-      ctx.throw(401, "Authentication Error");
+    const deleteResponse = await dbServer.delete(`/tags?id=eq.${tagId}`, {
+      headers: { Prefer: "return=representation" },
+    });
+    if (deleteResponse.data.length > 0) {
+      await audit(ctx, "tag.delete", {
+        targetId: tagId,
+        before: deleteResponse.data[0],
+      });
     }
+
+    ctx.status = 204;
   }
+);
 
-  await dbServer.delete(`/tags?id=eq.${tagId}`);
+/**
+ * @swagger
+ * /tags/{tagId}/merge:
+ *    post:
+ *      description: >
+ *        Merges a tag into another tag, the tactons of the tag get the other tag and the tag is deleted.
+ *        Needs the permission tags:merge (admins and moderators).
+ *      summary: Merge a tag into another tag
+ *      operationId: mergeTag
+ *      tags:
+ *        - tags
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the id of the tag to keep
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                into:
+ *                  type: number
+ *                  format: int32
+ *              required:
+ *                - into
+ *      parameters:
+ *      - in: path
+ *        name: tagId
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Unique id of the tag to merge and delete
+ *      security:
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: The remaining tag
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/tagsResponse"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/merge",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "tags:merge" }),
+  koaBody(),
+  async (ctx) => {
+    const tagId = ctx.params.id;
+    const into = ctx.request.body.into;
 
-  ctx.status = 204;
-});
+    if (!validator.isInt(tagId)) {
+      ctx.throw(400, "Invalid id");
+    }
+    if (into == null || !validator.isInt(into.toString())) {
+      ctx.throw(400, "Invalid into");
+    }
+    if (tagId === into.toString()) {
+      ctx.throw(400, "A tag can't be merged into itself");
+    }
+
+    // check if both tags exist
+    const tagResponse = await dbServer.get(`/tags?id=in.(${tagId},${into})`);
+    if (tagResponse.data.length !== 2) {
+      ctx.throw(400, "Invalid id");
+    }
+
+    // tactons with both tags only keep the link of the remaining tag
+    const linkResponse = await dbServer.get(
+      `/tacton_tag_link?tag_id=eq.${into}&select=tacton_id`
+    );
+    const taggedTactons = linkResponse.data.map((link) => link.tacton_id);
+    if (taggedTactons.length > 0) {
+      await dbServer.delete(
+        `/tacton_tag_link?and=(tag_id.eq.${tagId},tacton_id.in.(${taggedTactons.join(
+          ","
+        )}))`
+      );
+    }
+    await dbServer.patch(`/tacton_tag_link?tag_id=eq.${tagId}`, {
+      tag_id: into,
+    });
+    await dbServer.delete(`/tags?id=eq.${tagId}`);
+
+    const tag = tagResponse.data.find((x) => x.id.toString() === tagId);
+    await audit(ctx, "tag.merge", {
+      targetId: tagId,
+      before: tag,
+      details: { into: into, tactons: linkResponse.data.length },
+    });
+
+    ctx.body = tagResponse.data.filter((tag) => tag.id.toString() !== tagId);
+  }
+);
 
 export default router;
 
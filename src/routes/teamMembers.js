@@ -0,0 +1,763 @@
+import Router from "koa-router";
+import validator from "validator";
+import koaBody from "koa-body";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import {
+  getTeam,
+  hasTeamRole,
+  managingRoles,
+  teamRoles,
+} from "../auth/teamAccess.js";
+import { audit } from "../audit/index.js";
+import dbServer from "../database/dbServer.js";
+import { sendTeamInvitation } from "../mail/index.js";
+
+const router = new Router({ prefix: "/teams" });
+const tableName = "team_invitations";
+const invitationSelect =
+  "id,type,created_at,team:teams(id,name),user:users!team_invitations_users_id_fk(id,name),creator_id";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     teamMemberResponse:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, maintainer, member]
+ *     teamInvitationResponse:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *           format: int32
+ *         type:
+ *           type: string
+ *           enum: [invitation, request]
+ *           description: >
+ *             invitation: the team invited the user,
+ *             request: the user asked to join the team
+ *         created_at:
+ *           type: string
+ *         creator_id:
+ *           type: string
+ *           format: uuid
+ *         team:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *
+ * /teams/invitations:
+ *    get:
+ *      description: Get your open invitations of teams and your open join requests
+ *      summary: get own invitations
+ *      operationId: getOwnTeamInvitations
+ *      tags:
+ *        - teams
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the invitations and requests
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/teamInvitationResponse"
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/invitations",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    // get data from db
+    const response = await dbServer.get(
+      `/${tableName}?user_id=eq.${ctx.state.user.id}&select=${invitationSelect}&order=created_at.desc`
+    );
+
+    // return to user
+    ctx.body = response.data;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/members:
+ *    get:
+ *      description: Get all members of a team with their role
+ *      summary: get team members
+ *      operationId: getTeamMembers
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      produces:
+ *        - application/json
+ *      security: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the members of the team
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/teamMemberResponse"
+ *        400:
+ *          description: Invalid id
+ */
+router.get("/:id/members", async (ctx) => {
+  const team = await getTeam(ctx, ctx.params.id);
+
+  // get data from db
+  const response = await dbServer.get(
+    `/users?team_id=eq.${team.id}&select=id,name,role:team_role&order=name.asc`
+  );
+
+  // return to user
+  ctx.body = response.data;
+});
+
+/**
+ * @swagger
+ * /teams/{teamId}/members/{userId}:
+ *    patch:
+ *      description: >
+ *        Change the role of a member.
+ *        Only the owner of the team can change roles. Admins can change the roles of all teams.
+ *        Making someone the owner transfers the ownership, the old owner will be a maintainer.
+ *      summary: change role of team member
+ *      operationId: updateTeamMember
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      - in: path
+ *        name: userId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the member
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                role:
+ *                  type: string
+ *                  enum: [owner, maintainer, member]
+ *              required:
+ *                - role
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the members of the team
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/teamMemberResponse"
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.patch(
+  "/:id/members/:userId",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  koaBody(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+    const role = ctx.request.body.role;
+
+    // only the owner can change roles
+    if (!hasTeamRole(ctx.state.user, team.id, ["owner"])) {
+      ctx.throw(401, "Authentication Error");
+    }
+    if (role == null || !teamRoles.includes(role)) {
+      ctx.throw(400, `Invalid role, use one of: ${teamRoles}`);
+    }
+
+    const member = await getMember(ctx, team.id, ctx.params.userId);
+    if (member.team_role === "owner" && role !== "owner") {
+      ctx.throw(400, "Transfer the ownership first");
+    }
+
+    // a team has only one owner
+    let previousOwners = [];
+    if (role === "owner") {
+      const ownerResponse = await dbServer.patch(
+        `/users?and=(team_id.eq.${team.id},team_role.eq.owner,id.neq.${member.id})`,
+        { team_role: "maintainer" }
+      );
+      previousOwners = ownerResponse.data.map((owner) => owner.id);
+    }
+    await dbServer.patch(`/users?id=eq.${member.id}`, { team_role: role });
+    await audit(ctx, "team.role_changed", {
+      targetId: team.id,
+      before: { team_role: member.team_role },
+      after: { team_role: role },
+      details: { userId: member.id, previousOwners: previousOwners },
+    });
+
+    // return all members, since the ownership can be changed as well
+    const response = await dbServer.get(
+      `/users?team_id=eq.${team.id}&select=id,name,role:team_role&order=name.asc`
+    );
+    ctx.body = response.data;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/members/{userId}:
+ *    delete:
+ *      description: >
+ *        Remove a member from the team (kick).
+ *        The owner can remove maintainers and members, maintainers can only remove members.
+ *        Admins can remove everyone except the owner. Use leave to remove yourself.
+ *      summary: remove team member
+ *      operationId: removeTeamMember
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      - in: path
+ *        name: userId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the member
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully removed the member
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/:id/members/:userId",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+    const member = await getMember(ctx, team.id, ctx.params.userId);
+
+    if (member.id === ctx.state.user.id) {
+      ctx.throw(400, "Use leave to remove yourself from the team");
+    }
+    if (member.team_role === "owner") {
+      ctx.throw(400, "The owner can't be removed from the team");
+    }
+
+    // maintainers can only remove members
+    const roles = member.team_role === "maintainer" ? ["owner"] : managingRoles;
+    if (!hasTeamRole(ctx.state.user, team.id, roles)) {
+      ctx.throw(401, "Authentication Error");
+    }
+
+    await dbServer.patch(`/users?id=eq.${member.id}`, {
+      team_id: null,
+      team_role: null,
+    });
+    await audit(ctx, "team.member_removed", {
+      targetId: team.id,
+      details: { userId: member.id, role: member.team_role },
+    });
+
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/leave:
+ *    post:
+ *      description: >
+ *        Leave the team.
+ *        The owner can't leave the team, transfer the ownership or delete the team instead.
+ *      summary: leave team
+ *      operationId: leaveTeam
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully left the team
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/leave",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+
+    if (ctx.state.user.teamId !== team.id) {
+      ctx.throw(400, "You are not a member of this team");
+    }
+    if (ctx.state.user.teamRole === "owner") {
+      ctx.throw(400, "Transfer the ownership or delete the team first");
+    }
+
+    await dbServer.patch(`/users?id=eq.${ctx.state.user.id}`, {
+      team_id: null,
+      team_role: null,
+    });
+    await audit(ctx, "team.member_left", {
+      targetId: team.id,
+      details: { userId: ctx.state.user.id, role: ctx.state.user.teamRole },
+    });
+
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/invitations:
+ *    get:
+ *      description: >
+ *        Get the open invitations and join requests of a team.
+ *        Only owners and maintainers of the team can see them. Admins can see them for all teams.
+ *      summary: get team invitations
+ *      operationId: getTeamInvitations
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the invitations and requests
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/teamInvitationResponse"
+ *        400:
+ *          description: Invalid id
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/:id/invitations",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+    if (!hasTeamRole(ctx.state.user, team.id, managingRoles)) {
+      ctx.throw(401, "Authentication Error");
+    }
+
+    // get data from db
+    const response = await dbServer.get(
+      `/${tableName}?team_id=eq.${team.id}&select=${invitationSelect}&order=created_at.desc`
+    );
+
+    // return to user
+    ctx.body = response.data;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/invitations:
+ *    post:
+ *      description: >
+ *        Invite a user to the team. The user needs to accept the invitation.
+ *        Only owners and maintainers of the team can invite users. Admins can invite for all teams.
+ *      summary: invite user to team
+ *      operationId: inviteTeamMember
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                userId:
+ *                  type: string
+ *                  format: uuid
+ *              required:
+ *                - userId
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the created invitation
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/invitations",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  koaBody(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+    const userId = ctx.request.body.userId;
+
+    if (!hasTeamRole(ctx.state.user, team.id, managingRoles)) {
+      ctx.throw(401, "Authentication Error");
+    }
+    if (userId == null || !validator.isUUID(userId)) {
+      ctx.throw(400, "Invalid userId");
+    }
+
+    // check the user we wanna invite
+    const userResponse = await dbServer.get(
+      `/users?id=eq.${userId}&select=id,team_id,name,email`
+    );
+    if (userResponse.data.length !== 1) {
+      ctx.throw(400, "Invalid userId");
+    }
+    const invitedUser = userResponse.data[0];
+    if (invitedUser.team_id === team.id) {
+      ctx.throw(400, "User is already a member of the team");
+    }
+
+    const newData = await createInvitation(ctx, {
+      team_id: team.id,
+      user_id: userId,
+      type: "invitation",
+      creator_id: ctx.state.user.id,
+    });
+
+    // tell the user about the invitation
+    await sendTeamInvitation(
+      invitedUser.email,
+      invitedUser.name,
+      team.name,
+      ctx.state.user.name
+    );
+
+    ctx.body = newData;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/requests:
+ *    post:
+ *      description: >
+ *        Ask to join the team. An owner or maintainer of the team needs to accept the request.
+ *      summary: request to join team
+ *      operationId: requestTeamMembership
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Returns an array with the created request
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/requests",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+
+    if (ctx.state.user.teamId === team.id) {
+      ctx.throw(400, "You are already a member of the team");
+    }
+
+    const newData = await createInvitation(ctx, {
+      team_id: team.id,
+      user_id: ctx.state.user.id,
+      type: "request",
+      creator_id: ctx.state.user.id,
+    });
+
+    ctx.body = newData;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/invitations/{invitationId}/accept:
+ *    post:
+ *      description: >
+ *        Accept an invitation or a join request.
+ *        Invitations can only be accepted by the invited user,
+ *        join requests by owners and maintainers of the team (or admins).
+ *        The user can't be a member of another team.
+ *      summary: accept invitation or join request
+ *      operationId: acceptTeamInvitation
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      - in: path
+ *        name: invitationId
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Unique id of the invitation or request
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: The user is a member of the team now
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/:id/invitations/:invitationId/accept",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const invitation = await getInvitation(
+      ctx,
+      ctx.params.id,
+      ctx.params.invitationId
+    );
+
+    // invitations are accepted by the user, requests by the team
+    const allowed =
+      invitation.type === "invitation"
+        ? invitation.user_id === ctx.state.user.id
+        : hasTeamRole(ctx.state.user, invitation.team_id, managingRoles);
+    if (!allowed) {
+      ctx.throw(401, "Authentication Error");
+    }
+
+    // a user can only be in one team
+    const userResponse = await dbServer.get(
+      `/users?id=eq.${invitation.user_id}&select=id,team_id`
+    );
+    if (userResponse.data[0].team_id != null) {
+      ctx.throw(400, "User needs to leave the current team first");
+    }
+
+    await dbServer.patch(`/users?id=eq.${invitation.user_id}`, {
+      team_id: invitation.team_id,
+      team_role: "member",
+    });
+    await dbServer.delete(`/${tableName}?id=eq.${invitation.id}`);
+    await audit(ctx, "team.member_added", {
+      targetId: invitation.team_id,
+      details: { userId: invitation.user_id, type: invitation.type },
+    });
+
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /teams/{teamId}/invitations/{invitationId}:
+ *    delete:
+ *      description: >
+ *        Decline or withdraw an invitation or a join request.
+ *        The user of the invitation or request and the owners and maintainers of the team can do this.
+ *      summary: delete invitation or join request
+ *      operationId: deleteTeamInvitation
+ *      tags:
+ *        - teams
+ *      parameters:
+ *      - in: path
+ *        name: teamId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique id of the team
+ *      - in: path
+ *        name: invitationId
+ *        schema:
+ *          type: number
+ *          format: int32
+ *        required: true
+ *        description: Unique id of the invitation or request
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully deleted the invitation or request
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/:id/invitations/:invitationId",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const invitation = await getInvitation(
+      ctx,
+      ctx.params.id,
+      ctx.params.invitationId
+    );
+
+    if (
+      invitation.user_id !== ctx.state.user.id &&
+      !hasTeamRole(ctx.state.user, invitation.team_id, managingRoles)
+    ) {
+      ctx.throw(401, "Authentication Error");
+    }
+
+    await dbServer.delete(`/${tableName}?id=eq.${invitation.id}`);
+
+    ctx.status = 204;
+  }
+);
+
+export default router;
+
+// ---- helper functions ----
+async function getMember(ctx, teamId, userId) {
+  if (userId == null || !validator.isUUID(userId)) {
+    ctx.throw(400, "Invalid user id");
+  }
+
+  const response = await dbServer.get(
+    `/users?and=(id.eq.${userId},team_id.eq.${teamId})&select=id,team_role`
+  );
+  if (response.data.length !== 1) {
+    ctx.throw(400, "User is not a member of the team");
+  }
+
+  return response.data[0];
+}
+
+async function getInvitation(ctx, teamId, invitationId) {
+  const team = await getTeam(ctx, teamId);
+  if (invitationId == null || !validator.isInt(invitationId)) {
+    ctx.throw(400, "Invalid invitation id");
+  }
+
+  const response = await dbServer.get(
+    `/${tableName}?and=(id.eq.${invitationId},team_id.eq.${team.id})`
+  );
+  if (response.data.length !== 1) {
+    ctx.throw(400, "No unique invitation found");
+  }
+
+  return response.data[0];
+}
+
+async function createInvitation(ctx, payload) {
+  // there can only be one invitation or request for a user and team
+  const existing = await dbServer.get(
+    `/${tableName}?and=(team_id.eq.${payload.team_id},user_id.eq.${payload.user_id})`
+  );
+  if (existing.data.length > 0) {
+    ctx.throw(400, `There is already an open ${existing.data[0].type}`);
+  }
+
+  const newData = await dbServer.post(`/${tableName}`, payload);
+  return newData.data;
+}
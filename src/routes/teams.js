@@ -1,11 +1,20 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
-import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import jwtAuthOptions, {
+  optionalJwtAuthOptions,
+} from "../auth/jwtAuthOptions.js";
+import { getVisibilityCondition } from "../auth/tactonAccess.js";
+import { getTeam, hasTeamRole, managingRoles } from "../auth/teamAccess.js";
+import { audit } from "../audit/index.js";
 import dbServer from "../database/dbServer.js";
+import { setPaginationHeaders } from "../database/pagination.js";
+
+import createResponseData from "../helper/createTactonResponse.js";
+import getTactonList from "../helper/tactonList.js";
 
 const router = new Router({ prefix: "/teams" });
 
@@ -156,11 +165,85 @@ router.get("/search/name/:name", async (ctx) => {
   ctx.body = response.data;
 });
 
+/**
+ * @swagger
+ * /teams/{teamId}/tactons:
+ *    get:
+ *      description: >
+ *        Get the library of a team, the tactons owned by the team.
+ *        Members of the team can see all tactons of the library, everyone else only the public ones.
+ *        The same pagination, sorting and filters as for the list of tactons can be used.
+ *      summary: get tactons of team
+ *      operationId: getTeamTactons
+ *      tags:
+ *        - teams
+ *      parameters:
+ *        - in: path
+ *          name: teamId
+ *          schema:
+ *            type: string
+ *            format: uuid
+ *          required: true
+ *          description: Unique id of the team
+ *        - $ref: "#/components/parameters/tactonListAfter"
+ *        - $ref: "#/components/parameters/tactonListLimit"
+ *        - $ref: "#/components/parameters/tactonListSort"
+ *        - $ref: "#/components/parameters/tactonListOrder"
+ *        - $ref: "#/components/parameters/tactonListAuthor"
+ *        - $ref: "#/components/parameters/tactonListTag"
+ *        - $ref: "#/components/parameters/tactonListBodyTag"
+ *        - $ref: "#/components/parameters/tactonListLayout"
+ *        - $ref: "#/components/parameters/tactonListFrom"
+ *        - $ref: "#/components/parameters/tactonListTo"
+ *      produces:
+ *        - application/json
+ *      security:
+ *        - {}
+ *        - cookieAuth: []
+ *        - bearerAuth: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Returns an array with the tactons of the page from the library of the team.
+ *            Newest ones will be listed first by default.
+ *          headers:
+ *            X-Total-Count:
+ *              $ref: "#/components/headers/X-Total-Count"
+ *            X-Next-Cursor:
+ *              $ref: "#/components/headers/X-Next-Cursor"
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/fullTactonResponse"
+ *        400:
+ *          description: Invalid id or query
+ */
+router.get(
+  "/:id/tactons",
+  jwtAuth(optionalJwtAuthOptions),
+  permission({ optional: true, scope: "tactons:read" }),
+  async (ctx) => {
+    const team = await getTeam(ctx, ctx.params.id);
+
+    // get data from db, only the tactons the user is allowed to see
+    const page = await getTactonList(ctx, "/gettactons", [
+      getVisibilityCondition(ctx.state.user),
+      `owner_team_id.eq.${team.id}`,
+    ]);
+    setPaginationHeaders(ctx, page);
+
+    // return to user
+    ctx.body = await createResponseData(page.data);
+  }
+);
+
 /**
  * @swagger
  * /teams:
  *    post:
- *      description: Create new team
+ *      description: >
+ *        Create new team.
+ *        You will be the owner of the team, so you can't be a member of another team.
  *      summary: Create new team
  *      operationId: createTeam
  *      tags:
@@ -200,7 +283,7 @@ router.get("/search/name/:name", async (ctx) => {
 router.post(
   "/",
   jwtAuth(jwtAuthOptions),
-  permission(),
+  permission({ can: "teams:create" }),
   koaBody(),
   async (ctx) => {
     let name = ctx.request.body.name;
@@ -226,6 +309,11 @@ router.post(
       ctx.throw(400, validation.msg);
     }
 
+    // a user can only be in one team
+    if (ctx.state.user.teamId != null) {
+      ctx.throw(400, "Leave your team first");
+    }
+
     const payload = {
       name: name,
       creator_id: ctx.state.user.id,
@@ -234,6 +322,16 @@ router.post(
     // push into database and return the data
     const newResponse = await dbServer.post("/teams", payload);
 
+    // the creator is the owner of the team
+    await dbServer.patch(`/users?id=eq.${ctx.state.user.id}`, {
+      team_id: newResponse.data[0].id,
+      team_role: "owner",
+    });
+    await audit(ctx, "team.create", {
+      targetId: newResponse.data[0].id,
+      after: newResponse.data[0],
+    });
+
     ctx.body = newResponse.data;
   }
 );
@@ -244,7 +342,7 @@ router.post(
  *    patch:
  *      description: >
  *        Update a Team name.
- *        You can only update your own team, which you created. Admins can edit all teams.
+ *        Only owners and maintainers of the team can update it. Admins can edit all teams.
  *      summary: update team name
  *      operationId: updateTeamName
  *      tags:
@@ -293,12 +391,12 @@ router.patch(
     const teamId = ctx.params.id;
     let name = ctx.request.body.name;
 
-    // team id first
-    if (teamId == null) {
-      ctx.throw(400, "missing id");
-    }
-    if (!validator.isUUID(teamId)) {
-      ctx.throw(400, "Invalid id");
+    // find our entry
+    const data = await getTeam(ctx, teamId);
+
+    // check the role of the user in the team
+    if (!hasTeamRole(ctx.state.user, data.id, managingRoles)) {
+      ctx.throw(401, "Authentication Error");
     }
 
     // name next
@@ -316,15 +414,6 @@ router.patch(
       ctx.throw(400, "Invalid name or length");
     }
 
-    // find our entry
-    const entryResponse = await dbServer.get(`/teams?id=eq.${teamId}`);
-
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
-      ctx.throw(400, "Invalid id");
-    }
-
-    const data = entryResponse.data[0];
     const validation = await validateUniqueName(name);
     if (!validation.valid) {
       ctx.throw(400, validation.msg);
@@ -339,6 +428,11 @@ router.patch(
       `/teams?id=eq.${data.id}`,
       payload
     );
+    await audit(ctx, "team.update", {
+      targetId: data.id,
+      before: data,
+      after: updateResponse.data[0],
+    });
 
     ctx.body = updateResponse.data;
   }
@@ -350,7 +444,8 @@ router.patch(
  *    delete:
  *      description: >
  *        Delete a team.
- *        You can only delete your own team, which you created. Admins can delete all teams.
+ *        Only the owner of the team can delete it. Admins can delete all teams.
+ *        The members of the team are removed from the team.
  *      summary: delete team
  *      operationId: deleteTeam
  *      tags:
@@ -375,33 +470,17 @@ router.patch(
  *          description: Authentication Error
  */
 router.delete("/:id", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
-  // validate the input
-  const teamId = ctx.params.id;
+  // find our entry
+  const team = await getTeam(ctx, ctx.params.id);
 
-  // team id first
-  if (teamId == null) {
-    ctx.throw(400, "missing id");
-  }
-  if (!validator.isUUID(teamId)) {
-    ctx.throw(400, "Invalid id");
-  }
-
-  // check if the user is not an admin
-  if (!ctx.state.user.admin) {
-    // find our entry
-    const entryResponse = await dbServer.get(`/teams?id=eq.${teamId}`);
-
-    // check if we have an entry
-    if (entryResponse.data.length !== 1) {
-      ctx.throw(400, "Invalid id");
-    }
-
-    if (entryResponse.data[0].creator_id !== ctx.state.user.id) {
-      ctx.throw(401, "Authentication Error");
-    }
+  // only the owner can delete the team
+  if (!hasTeamRole(ctx.state.user, team.id, ["owner"])) {
+    ctx.throw(401, "Authentication Error");
   }
 
-  await dbServer.delete(`/teams?id=eq.${teamId}`);
+  // the members are removed from the team by the database (team_id is set to null)
+  await dbServer.delete(`/teams?id=eq.${team.id}`);
+  await audit(ctx, "team.delete", { targetId: team.id, before: team });
 
   ctx.status = 204;
 });
@@ -0,0 +1,446 @@
+import Router from "koa-router";
+import koaBody from "koa-body";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { compareHash } from "../auth/password.js";
+import { generateSecret, getOtpAuthUri } from "../auth/totp.js";
+import {
+  createRecoveryCodes,
+  getRemainingRecoveryCodes,
+  isAdminTwoFactorRequired,
+  setAdminTwoFactorRequired,
+  verifySecondFactor,
+  verifyTotp,
+} from "../auth/twoFactor.js";
+import { audit } from "../audit/index.js";
+import dbServer from "../database/dbServer.js";
+
+const router = new Router({ prefix: "/auth/2fa" });
+
+// name of the account in the authenticator apps
+const issuer = "TactJam";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     "RecoveryCodes":
+ *       type: object
+ *       properties:
+ *         recoveryCodes:
+ *           type: array
+ *           description: One-time codes to login without the app, they are only shown once
+ *           items:
+ *             type: string
+ *
+ * /auth/2fa:
+ *    get:
+ *      description: Shows if two-factor authentication is enabled for your account
+ *      summary: Get your two-factor authentication status
+ *      operationId: getTwoFactorStatus
+ *      tags:
+ *        - auth
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The status
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  enabled:
+ *                    type: boolean
+ *                  remainingRecoveryCodes:
+ *                    type: integer
+ *                  required:
+ *                    type: boolean
+ *                    description: Your admin permissions need two-factor authentication
+ *        401:
+ *          description: Authentication Error
+ */
+router.get("/", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const user = await getUser(ctx.state.user.id);
+  const required = user.admin && (await isAdminTwoFactorRequired());
+
+  ctx.body = {
+    enabled: user.totp_enabled,
+    remainingRecoveryCodes: user.totp_enabled
+      ? await getRemainingRecoveryCodes(user.id)
+      : 0,
+    required: required,
+  };
+});
+
+/**
+ * @swagger
+ * /auth/2fa/enroll:
+ *    post:
+ *      description: >
+ *        Starts the enrollment of two-factor authentication with a new secret.
+ *        Add the secret or the otpauth URI (for example as QR code) to an authenticator app,
+ *        then activate it with a code of the app (/auth/2fa/activate).
+ *      summary: Start two-factor authentication enrollment
+ *      operationId: enrollTwoFactor
+ *      tags:
+ *        - auth
+ *      requestBody: []
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The secret for the authenticator app
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  secret:
+ *                    type: string
+ *                    description: base32 secret
+ *                  uri:
+ *                    type: string
+ *                    description: otpauth URI
+ *        400:
+ *          description: Two-factor authentication is already enabled
+ *        401:
+ *          description: Authentication Error
+ */
+router.post("/enroll", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const user = await getUser(ctx.state.user.id);
+  if (user.totp_enabled) {
+    ctx.throw(400, "Two-factor authentication is already enabled");
+  }
+
+  // a new secret replaces an unfinished enrollment
+  const secret = generateSecret();
+  await dbServer.patch(`/users?id=eq.${user.id}`, {
+    totp_secret: secret,
+    totp_counter: null,
+  });
+
+  ctx.body = {
+    secret: secret,
+    uri: getOtpAuthUri(secret, user.username, issuer),
+  };
+});
+
+/**
+ * @swagger
+ * /auth/2fa/activate:
+ *    post:
+ *      description: >
+ *        Finishes the enrollment with a code of the authenticator app.
+ *        The next logins need a code, the returned recovery codes can be used instead.
+ *      summary: Activate two-factor authentication
+ *      operationId: activateTwoFactor
+ *      tags:
+ *        - auth
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the code of the app
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                code:
+ *                  type: string
+ *              required:
+ *                - code
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: Successfully activated, returns the recovery codes
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/RecoveryCodes"
+ *        400:
+ *          description: Invalid code, no enrollment or already enabled
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/activate",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  koaBody(),
+  async (ctx) => {
+    const user = await getUser(ctx.state.user.id);
+    if (user.totp_enabled) {
+      ctx.throw(400, "Two-factor authentication is already enabled");
+    }
+    if (user.totp_secret == null) {
+      ctx.throw(400, "Start the enrollment first");
+    }
+
+    if (!(await verifyTotp(user, ctx.request.body.code))) {
+      ctx.throw(400, "Invalid code");
+    }
+
+    await dbServer.patch(`/users?id=eq.${user.id}`, { totp_enabled: true });
+    await audit(ctx, "auth.2fa_enabled", { targetId: user.id });
+
+    ctx.body = { recoveryCodes: await createRecoveryCodes(user.id) };
+  }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *    post:
+ *      description: Creates new recovery codes, the old ones get invalid
+ *      summary: Renew recovery codes
+ *      operationId: renewRecoveryCodes
+ *      tags:
+ *        - auth
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing a code of the app
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                code:
+ *                  type: string
+ *              required:
+ *                - code
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The new recovery codes
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/RecoveryCodes"
+ *        400:
+ *          description: Invalid code or two-factor authentication is not enabled
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/recovery-codes",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  koaBody(),
+  async (ctx) => {
+    const user = await getUser(ctx.state.user.id);
+    if (!user.totp_enabled) {
+      ctx.throw(400, "Two-factor authentication is not enabled");
+    }
+
+    if (!(await verifyTotp(user, ctx.request.body.code))) {
+      ctx.throw(400, "Invalid code");
+    }
+
+    ctx.body = { recoveryCodes: await createRecoveryCodes(user.id) };
+  }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *    post:
+ *      description: >
+ *        Disables two-factor authentication, needs the password and a code of the app or a recovery code.
+ *        Admins can't disable it if it's required for admin accounts.
+ *      summary: Disable two-factor authentication
+ *      operationId: disableTwoFactor
+ *      tags:
+ *        - auth
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the password and a code or recovery code
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                password:
+ *                  type: string
+ *                code:
+ *                  type: string
+ *                recoveryCode:
+ *                  type: string
+ *              required:
+ *                - password
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully disabled
+ *        400:
+ *          description: Invalid request or code
+ *        401:
+ *          description: Authentication Error or invalid password
+ */
+router.post(
+  "/disable",
+  jwtAuth(jwtAuthOptions),
+  permission({ password: true }),
+  koaBody(),
+  async (ctx) => {
+    const password = ctx.request.body.password;
+    const code = ctx.request.body.code;
+    const recoveryCode = ctx.request.body.recoveryCode;
+
+    if (password == null || (code == null && recoveryCode == null)) {
+      ctx.throw(400, "missing body parameters");
+    }
+
+    const user = await getUser(ctx.state.user.id);
+    if (!user.totp_enabled) {
+      ctx.throw(400, "Two-factor authentication is not enabled");
+    }
+    if (user.admin && (await isAdminTwoFactorRequired())) {
+      ctx.throw(400, "Two-factor authentication is required for admins");
+    }
+
+    // check password
+    const validPassword = await compareHash(password, ctx.state.user.password);
+    if (!validPassword.valid) {
+      ctx.throw(401, "Invalid password");
+    }
+
+    if (!(await verifySecondFactor(user, code, recoveryCode))) {
+      ctx.throw(400, "Invalid code");
+    }
+
+    await dbServer.patch(`/users?id=eq.${user.id}`, {
+      totp_secret: null,
+      totp_enabled: false,
+      totp_counter: null,
+    });
+    await dbServer.delete(`/recovery_codes?user_id=eq.${user.id}`);
+    await audit(ctx, "auth.2fa_disabled", { targetId: user.id });
+
+    ctx.status = 204;
+  }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/policy:
+ *    get:
+ *      description: Shows if two-factor authentication is required for admin accounts. Only for admins.
+ *      summary: Get two-factor authentication policy
+ *      operationId: getTwoFactorPolicy
+ *      tags:
+ *        - auth
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The policy
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  requireForAdmins:
+ *                    type: boolean
+ *        401:
+ *          description: Authentication Error
+ */
+router.get(
+  "/policy",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "settings:manage" }),
+  async (ctx) => {
+    ctx.body = { requireForAdmins: await isAdminTwoFactorRequired() };
+  }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/policy:
+ *    put:
+ *      description: >
+ *        Requires two-factor authentication for every admin account. Only for admins.
+ *        Admins without it have no admin permissions until they enroll.
+ *        You need to enable it for yourself first.
+ *      summary: Set two-factor authentication policy
+ *      operationId: setTwoFactorPolicy
+ *      tags:
+ *        - auth
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the policy
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                requireForAdmins:
+ *                  type: boolean
+ *              required:
+ *                - requireForAdmins
+ *      parameters: []
+ *      security:
+ *      - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The new policy
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *                properties:
+ *                  requireForAdmins:
+ *                    type: boolean
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.put(
+  "/policy",
+  jwtAuth(jwtAuthOptions),
+  permission({ can: "settings:manage" }),
+  koaBody(),
+  async (ctx) => {
+    const requireForAdmins = ctx.request.body.requireForAdmins;
+    if (typeof requireForAdmins !== "boolean") {
+      ctx.throw(400, "Invalid requireForAdmins (boolean)");
+    }
+
+    // otherwise you would lose your own admin permissions
+    if (requireForAdmins) {
+      const user = await getUser(ctx.state.user.id);
+      if (!user.totp_enabled) {
+        ctx.throw(400, "Enable two-factor authentication for yourself first");
+      }
+    }
+
+    const before = await isAdminTwoFactorRequired();
+    await setAdminTwoFactorRequired(requireForAdmins);
+    await audit(ctx, "admin.setting_changed", {
+      targetId: "require_admin_2fa",
+      before: { value: before },
+      after: { value: requireForAdmins },
+    });
+    ctx.body = { requireForAdmins: requireForAdmins };
+  }
+);
+
+// export router object
+export default router;
+
+// ---- helper functions ----
+async function getUser(id) {
+  const response = await dbServer.get(`/users?id=eq.${id}`);
+  return response.data[0];
+}
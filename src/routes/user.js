@@ -1,19 +1,33 @@
 import Router from "koa-router";
 import validator from "validator";
 import koaBody from "koa-body";
-import jwtAuth from "koa-jwt";
 
+import jwtAuth from "../auth/jwtAuth.js";
 import permission from "../auth/permissionMiddleware.js";
+import { can, getUserRoles } from "../auth/roles.js";
+import { isBanned } from "../auth/bans.js";
+import { audit, pick } from "../audit/index.js";
 import jwtAuthOptions from "../auth/jwtAuthOptions.js";
 import dbServer from "../database/dbServer.js";
+import { quoteValue } from "../database/pagination.js";
 
 import { compareHash, generateHash } from "../auth/password.js"; // compareHash
+import { revokeSessions } from "../auth/sessions.js";
+import {
+  deleteAccount,
+  deletionAuditFields,
+  formerParticipantId,
+} from "../auth/accountDeletion.js";
+import { validatePassword } from "../auth/passwordPolicy.js";
 import { v4 as uuidv4 } from "uuid";
-// import { sendEmailConfirmation } from "../mail/index.js";
+import { sendEmailChange, sendEmailConfirmation } from "../mail/index.js";
 import getTomorrow from "../helper/getTomorrow.js";
 
 const router = new Router({ prefix: "/user" });
 
+// values of the users in the audit log
+const auditFields = ["username", "name", "email", "team_id", "team_role"];
+
 /**
  * @swagger
  * components:
@@ -32,6 +46,11 @@ const router = new Router({ prefix: "/user" });
  *             type: string
  *           isAdmin:
  *             type: boolean
+ *           roles:
+ *             type: array
+ *             items:
+ *               type: string
+ *               enum: [admin, moderator, facilitator, member, guest]
  *           banned:
  *             type: boolean
  *           teamId:
@@ -42,7 +61,7 @@ const router = new Router({ prefix: "/user" });
  *
  * /user/{userId}:
  *    get:
- *      description: Get a users by his ID. Only admins are allowed to use this operation.
+ *      description: Get a users by his ID. Needs the permission users:view (admins and moderators).
  *      summary: get user
  *      operationId: getUserById
  *      tags:
@@ -59,6 +78,7 @@ const router = new Router({ prefix: "/user" });
  *        - application/json
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        200:
  *          description: >
@@ -75,7 +95,7 @@ const router = new Router({ prefix: "/user" });
 router.get(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission({ admin: true }),
+  permission({ can: "users:view" }),
   async (ctx) => {
     // get user from db
     const response = await dbServer.get(`/users?id=eq.${ctx.params.id}`);
@@ -119,11 +139,14 @@ router.get(
  *                  description: E-Mail needed for password reset.
  *                password:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
+ *                  description: >
+ *                    Checked with the password policy: min length (default 8), a strength estimate
+ *                    and a list of breached passwords. The error message explains a rejection.
  *                password2:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
  *                  description: need to be the same then password
  *                name:
@@ -140,8 +163,8 @@ router.get(
  *            example:
  *              username: username123456
  *              email: username123456@mail.com
- *              password: abc1234
- *              password2: abc1234
+ *              password: Tr0ub4dor&3
+ *              password2: Tr0ub4dor&3
  *              name: Miyako
  *      produces:
  *        - application/json
@@ -152,7 +175,8 @@ router.get(
  *          description: >
  *            Successfully registered.
  *            The user is now saved in the database.
- *            You can login with the registered information.
+ *            A confirmation mail is sent, you can login after confirming the e-mail address.
+ *            If the mail could not be sent, request it again with /user/email/resend.
  *          content:
  *            application/json:
  *              schema:
@@ -209,19 +233,21 @@ router.post("/register", koaBody(), async (ctx) => {
     );
   }
 
-  // password
-  if (
-    !validator.isLength(password, { min: 4, max: 128 }) ||
-    !validator.isLength(password2, { min: 4, max: 128 })
-  ) {
-    ctx.throw(400, "Invalid password length (min: 4, max: 128)");
-  }
-
   // check if both passwords are the same
   if (password !== password2) {
     ctx.throw(400, "Passwords doesn't match");
   }
 
+  // password
+  const passwordValidation = await validatePassword(password, [
+    username,
+    email,
+    name,
+  ]);
+  if (!passwordValidation.valid) {
+    ctx.throw(400, passwordValidation.msg);
+  }
+
   // validate if username or email is already in use
   const validation = await validateUniqueValues(ctx, username, email);
   if (!validation.valid) {
@@ -250,32 +276,239 @@ router.post("/register", koaBody(), async (ctx) => {
   // save new user
   const newUserResponse = await dbServer.post("/users", payload);
 
-  // email confirmation
-  const mailUuid = uuidv4();
-  const mailUuidHash = await generateHash(mailUuid);
-  const mailUuidHashString = mailUuidHash.toString("hex");
+  const user = newUserResponse.data[0];
+  await audit(ctx, "user.register", {
+    actorId: user.id,
+    targetId: user.id,
+    after: pick(user, auditFields),
+  });
 
-  const emailPayload = {
-    user_id: userUuid,
-    old_email: null,
-    new_email: email,
-    token: mailUuidHashString,
-    confirm_expiry_at: getTomorrow(),
-    confirmed: true, // this is only for testing purposes, this should be false!
+  // e-mail confirmation, the user can login after confirming the address
+  const mailToken = await createEmailUpdate(user.id, null, email);
+  await sendEmailConfirmation(email, user.name, mailToken, true);
+
+  // return the user
+  ctx.body = await createUserResponse(user);
+});
+
+/**
+ * @swagger
+ * /user/email/confirm:
+ *    post:
+ *      description: >
+ *        Confirms an e-mail address with the token from the confirmation mail.
+ *        After registering, the user can login after the confirmation.
+ *        When changing the e-mail, the new address is applied and the old address gets notified.
+ *      summary: confirm e-mail address
+ *      operationId: confirmEmail
+ *      tags:
+ *        - user
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the e-mail and the token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                email:
+ *                  type: string
+ *                  format: email
+ *                token:
+ *                  type: string
+ *                  format: uuid
+ *              required:
+ *                - email
+ *                - token
+ *      produces:
+ *        - application/json
+ *      parameters: []
+ *      security: []
+ *      responses:
+ *        204:
+ *          description: Successfully confirmed the e-mail address
+ *        400:
+ *          description: Invalid request, invalid or expired token
+ */
+router.post("/email/confirm", koaBody(), async (ctx) => {
+  const email = ctx.request.body.email;
+  const token = ctx.request.body.token;
+
+  // check input
+  if (email == null || token == null) {
+    ctx.throw(400, "missing body parameters");
+  }
+  if (!validator.isEmail(email) || !validator.isUUID(token)) {
+    ctx.throw(400, "Invalid token or email");
+  }
+
+  // search for open confirmations of the address, quoted and encoded for addresses with a +
+  const currentDate = new Date().toUTCString();
+  const response = await dbServer.get(
+    `/email_updates?and=(new_email.eq.${encodeURIComponent(
+      quoteValue(email)
+    )},confirm_expiry_at.gt."${currentDate}",confirmed.is.false)&order=number.desc`
+  );
+
+  // compare the token with every open confirmation
+  let emailUpdate = null;
+  for (const row of response.data) {
+    const validToken = await compareHash(token, row.token);
+    if (validToken.valid) {
+      emailUpdate = row;
+      break;
+    }
+  }
+  if (emailUpdate == null) {
+    ctx.throw(400, "Invalid token or email");
+  }
+
+  // the user of the confirmation
+  const userResponse = await dbServer.get(
+    `/users?id=eq.${emailUpdate.user_id}`
+  );
+  if (userResponse.data.length !== 1) {
+    ctx.throw(400, "Invalid token or email");
+  }
+  const user = userResponse.data[0];
+
+  // apply the new address, another user could have taken it in the meantime
+  if (user.email !== emailUpdate.new_email) {
+    const validation = await validateUniqueValues(
+      ctx,
+      null,
+      emailUpdate.new_email
+    );
+    if (!validation.valid) {
+      ctx.throw(400, validation.msg);
+    }
+    await dbServer.patch(`/users?id=eq.${user.id}`, {
+      email: emailUpdate.new_email,
+      updated_at: new Date(),
+    });
+    await audit(ctx, "user.email_changed", {
+      actorId: user.id,
+      targetId: user.id,
+      before: { email: user.email },
+      after: { email: emailUpdate.new_email },
+    });
+  }
+
+  // the confirmed address is the current one, other open confirmations expire
+  await dbServer.patch(
+    `/email_updates?and=(user_id.eq.${user.id},current.is.true)`,
+    { current: false }
+  );
+  await dbServer.patch(
+    `/email_updates?and=(user_id.eq.${user.id},confirmed.is.false)`,
+    { confirm_expiry_at: new Date() }
+  );
+  await dbServer.patch(`/email_updates?number=eq.${emailUpdate.number}`, {
+    confirmed: true,
     current: true,
-  };
+  });
+
+  // tell the old address about the change
+  if (emailUpdate.old_email != null) {
+    await sendEmailChange(
+      emailUpdate.old_email,
+      user.name,
+      emailUpdate.new_email
+    );
+  }
 
-  // save e-mail update
-  try {
-    await dbServer.post("/email_updates", emailPayload);
-  } catch (e) {
-    console.log(e);
+  ctx.status = 204;
+});
+
+/**
+ * @swagger
+ * /user/email/resend:
+ *    post:
+ *      description: >
+ *        Sends the confirmation mail again with a new token, the old token gets invalid.
+ *        Works for the latest unconfirmed address of an user.
+ *      summary: resend e-mail confirmation
+ *      operationId: resendEmailConfirmation
+ *      tags:
+ *        - user
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the unconfirmed e-mail
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                email:
+ *                  type: string
+ *                  format: email
+ *              required:
+ *                - email
+ *      produces:
+ *        - application/json
+ *      parameters: []
+ *      security: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            An E-Mail was send to the provided address IF there is an unconfirmed address.
+ *        400:
+ *          description: Invalid request
+ */
+router.post("/email/resend", koaBody(), async (ctx) => {
+  const email = ctx.request.body.email;
+
+  // check input
+  if (email == null || !validator.isEmail(email)) {
+    ctx.throw(400, "Invalid email");
   }
 
-  const user = newUserResponse.data[0];
+  // the same response for every case, so nobody can check for addresses
+  ctx.status = 200;
+  ctx.body =
+    "An E-Mail was send to the provided address if there is an unconfirmed address";
+
+  // get the latest unconfirmed address
+  const response = await dbServer.get(
+    `/email_updates?and=(new_email.eq.${encodeURIComponent(
+      quoteValue(email)
+    )},confirmed.is.false)&order=number.desc&limit=1`
+  );
+  if (response.data.length !== 1) {
+    return;
+  }
+  const emailUpdate = response.data[0];
+
+  // only the latest change of the user can be confirmed
+  const latestResponse = await dbServer.get(
+    `/email_updates?user_id=eq.${emailUpdate.user_id}&order=number.desc&limit=1`
+  );
+  if (latestResponse.data[0].number !== emailUpdate.number) {
+    return;
+  }
 
-  // return the user
-  ctx.body = await createUserResponse(user);
+  const userResponse = await dbServer.get(
+    `/users?id=eq.${emailUpdate.user_id}`
+  );
+  if (userResponse.data.length !== 1) {
+    return;
+  }
+  const user = userResponse.data[0];
+
+  // replace the token of the confirmation
+  const mailUuid = uuidv4();
+  const mailUuidHash = await generateHash(mailUuid);
+  await dbServer.patch(`/email_updates?number=eq.${emailUpdate.number}`, {
+    token: mailUuidHash.toString("hex"),
+    confirm_expiry_at: getTomorrow(),
+  });
+
+  await sendEmailConfirmation(
+    email,
+    user.name,
+    mailUuid,
+    emailUpdate.old_email == null
+  );
 });
 
 /**
@@ -284,7 +517,9 @@ router.post("/register", koaBody(), async (ctx) => {
  *    put:
  *      description: >
  *        Update user values.
- *        Only admins can edit others, but you can edit yourself.
+ *        Only users with the permission users:edit (admins) can edit others, but you can edit yourself.
+ *        Only they can change the team of a user (null removes the user from the team),
+ *        everyone else needs to use the invitations and join requests of the teams.
  *      summary: update user
  *      operationId: updateUser
  *      tags:
@@ -313,10 +548,14 @@ router.post("/register", koaBody(), async (ctx) => {
  *                email:
  *                  type: string
  *                  format: email
- *                  description: E-Mail needed for password reset.
+ *                  description: >
+ *                    E-Mail needed for password reset.
+ *                    A confirmation mail is sent to the new address, the e-mail changes after the confirmation.
  *                teamId:
  *                  type: string
  *                  format: uuid
+ *                  nullable: true
+ *                  description: Admins only! The user will be a member of the team.
  *                name:
  *                  type: string
  *                  minLength: 2
@@ -363,8 +602,8 @@ router.put(
       ctx.throw(400, "No unique user found");
     }
     const user = response.data[0];
-    // check if the user got admin permissions or if the user is himself
-    if (!ctx.state.user.admin && user.id !== ctx.state.user.id) {
+    // check if the user got the permission or if the user is himself
+    if (!can(ctx.state.user, "users:edit") && user.id !== ctx.state.user.id) {
       ctx.throw(401, "Authentication error");
     }
 
@@ -418,61 +657,61 @@ router.put(
       }
     }
 
-    // check teamId
-    if (teamId != null) {
-      if (!validator.isUUID(teamId)) {
-        ctx.throw(400, "Invalid TeamId");
-      }
-    }
-
-    const teamIdResponse = dbServer.get(`/teams?id=eq.${teamId}`);
-    if (teamIdResponse.data.length !== 1) {
-      ctx.throw(400, "Invalid TeamId");
-    }
-
     const patchObj = {
-      username: validator.trim(username).toLowerCase(),
+      username:
+        username != null ? validator.trim(username).toLowerCase() : undefined,
       name: name,
-      teamId: teamId,
       updated_at: new Date(),
     };
 
+    // check teamId, joining a team works with invitations and requests
+    if (teamId !== undefined) {
+      if (!can(ctx.state.user, "users:edit")) {
+        ctx.throw(
+          400,
+          "Use the invitations and join requests of the team to change your team"
+        );
+      }
+      if (teamId !== null) {
+        if (!validator.isUUID(teamId)) {
+          ctx.throw(400, "Invalid TeamId");
+        }
+        const teamIdResponse = await dbServer.get(`/teams?id=eq.${teamId}`);
+        if (teamIdResponse.data.length !== 1) {
+          ctx.throw(400, "Invalid TeamId");
+        }
+      }
+      if (user.team_role === "owner" && user.team_id !== teamId) {
+        ctx.throw(400, "The owner needs to transfer the ownership first");
+      }
+
+      if (user.team_id !== teamId) {
+        patchObj.team_id = teamId;
+        patchObj.team_role = teamId !== null ? "member" : null;
+      }
+    }
+
     if (email != null) {
-      // email confirmation
-      const mailUuid = uuidv4();
-      const mailUuidHash = await generateHash(mailUuid);
-      const mailUuidHashString = mailUuidHash.toString("hex");
-
-      const emailPayload = {
-        user_id: user.id,
-        old_email: user.email,
-        new_email: email,
-        token: mailUuidHashString,
-        confirm_expiry_at: getTomorrow(),
-        confirmed: true, // this is only for testing purposes, this should be false!
-        current: true,
-      };
-
-      // save e-mail update
-      await dbServer.post("/email_updates", emailPayload);
-
-      console.log(email, user.name, mailUuid);
-
-      // send mail to user
-      // TODO EMAIL confirmation
-      // await sendEmailConfirmation(email, user.name, mailUuid, false);
-
-      patchObj.email = email; // this line should be deleted --> user needs to confirm mail
+      // the address is changed after the new one is confirmed
+      const mailToken = await createEmailUpdate(user.id, user.email, email);
+      await sendEmailConfirmation(email, user.name, mailToken, false);
     }
 
     // update on db
-    const updatedUser = await dbServer.patch(
+    const updateResponse = await dbServer.patch(
       `/users?id=eq.${user.id}`,
       patchObj
     );
+    const updatedUser = updateResponse.data[0];
+    await audit(ctx, "user.update", {
+      targetId: user.id,
+      before: pick(user, auditFields),
+      after: pick(updatedUser, auditFields),
+      details: email != null ? { pendingEmail: email } : null,
+    });
 
     // return the user
-    ctx.body = createUserResponse(updatedUser);
+    ctx.body = await createUserResponse(updatedUser);
   }
 );
 
@@ -481,7 +720,7 @@ router.put(
  * /user/password:
  *    patch:
  *      description: >
- *        Updates your own password
+ *        Updates your own password, your other sessions are revoked
  *      summary: update password
  *      operationId: updatePassword
  *      tags:
@@ -501,11 +740,14 @@ router.put(
  *                  maxLength: 128
  *                newPassword:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
+ *                  description: >
+ *                    Checked with the password policy: min length (default 8), a strength estimate
+ *                    and a list of breached passwords. The error message explains a rejection.
  *                newPassword2:
  *                  type: string
- *                  minLength: 4
+ *                  minLength: 8
  *                  maxLength: 128
  *      security:
  *        - cookieAuth: []
@@ -549,8 +791,12 @@ router.patch(
     }
 
     // validate new password
-    if (!validator.isLength(newPassword, { min: 4, max: 128 })) {
-      ctx.throw(400, "New password is too long / short, see docs");
+    const passwordValidation = await validatePassword(newPassword, [
+      ctx.state.user.username,
+      ctx.state.user.name,
+    ]);
+    if (!passwordValidation.valid) {
+      ctx.throw(400, passwordValidation.msg);
     }
     // generate new hash
     const hash = await generateHash(newPassword);
@@ -562,6 +808,10 @@ router.patch(
       password: newPassword,
       updated_at: new Date(),
     });
+
+    // logout the other devices
+    await revokeSessions(ctx.state.user.id, ctx.state.user.sessionId);
+    await audit(ctx, "user.password_changed", { targetId: ctx.state.user.id });
     ctx.status = 204;
   }
 );
@@ -570,7 +820,9 @@ router.patch(
  * @swagger
  * /user/{userId}:
  *    delete:
- *      description: Use to delete an user. Only admins can delete users.
+ *      description: >
+ *        Use to delete an user at once, with all tactons. Tags and body tags are kept under the former participant.
+ *        Needs the permission users:delete (admins). Users delete their own account with DELETE /user/me.
  *      summary: delete an user
  *      operationId: deleteUser
  *      tags:
@@ -587,6 +839,7 @@ router.patch(
  *        - application/json
  *      security:
  *        - cookieAuth: []
+ *        - bearerAuth: []
  *      responses:
  *        204:
  *          description: >
@@ -600,7 +853,7 @@ router.patch(
 router.delete(
   "/:id",
   jwtAuth(jwtAuthOptions),
-  permission({ admin: true }),
+  permission({ can: "users:delete" }),
   async (ctx) => {
     const id = ctx.params.id;
     // check id
@@ -617,23 +870,34 @@ router.delete(
       ctx.throw(400, "You can't delete yourself.");
     }
 
-    // delete the user
-    await dbServer.delete(`/users?id=eq.${ctx.params.id}`);
+    if (id === formerParticipantId) {
+      ctx.throw(
+        400,
+        "The former participant owns the tactons of deleted users"
+      );
+    }
+
+    // delete the user, the tags and body tags of the user are kept
+    const deletedUser = await deleteAccount(id);
+    if (deletedUser != null) {
+      await audit(ctx, "user.delete", {
+        targetId: id,
+        before: pick(deletedUser, deletionAuditFields),
+      });
+    }
     ctx.status = 204;
   }
 );
 
-// TODO (low priority)
-// confirm email
-// check for Register & Update: confirmed: true --> Should be false
-
 // export router object
 export default router;
 
 // ---- helper functions ----
 // function to check if username and email is unique
 async function validateUniqueValues(ctx, username, email) {
-  username = validator.trim(username).toLowerCase();
+  if (username != null) {
+    username = validator.trim(username).toLowerCase();
+  }
   let queryString = "/users?or=(";
 
   if (username != null) {
@@ -644,7 +908,7 @@ async function validateUniqueValues(ctx, username, email) {
     if (username != null) {
       queryString += `,`;
     }
-    queryString += `email.eq.${email}`;
+    queryString += `email.eq.${encodeURIComponent(quoteValue(email))}`;
   }
 
   queryString += `)`;
@@ -676,9 +940,28 @@ async function createUserResponse(userFromDB) {
       id: userFromDB.id,
       username: userFromDB.username,
       name: userFromDB.name,
-      banned: userFromDB.banned,
-      isAdmin: userFromDB.is_admin,
+      banned: isBanned(userFromDB),
+      isAdmin: userFromDB.admin,
+      roles: getUserRoles(userFromDB),
       teamId: userFromDB.team_id,
     },
   ];
 }
+
+// saves an unconfirmed e-mail address and returns the token for the mail
+async function createEmailUpdate(userId, oldEmail, newEmail) {
+  const mailUuid = uuidv4();
+  const mailUuidHash = await generateHash(mailUuid);
+
+  await dbServer.post("/email_updates", {
+    user_id: userId,
+    old_email: oldEmail,
+    new_email: newEmail,
+    token: mailUuidHash.toString("hex"),
+    confirm_expiry_at: getTomorrow(),
+    confirmed: false,
+    current: false,
+  });
+
+  return mailUuid;
+}
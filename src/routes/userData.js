@@ -0,0 +1,336 @@
+import Router from "koa-router";
+import koaBody from "koa-body";
+
+import config from "../config/index.js";
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import dbServer from "../database/dbServer.js";
+import { compareHash } from "../auth/password.js";
+import { endSession } from "../auth/sessions.js";
+import {
+  cancelAccountDeletion,
+  deleteAccount,
+  deletionAuditFields,
+  getAccountDeletion,
+  scheduleAccountDeletion,
+} from "../auth/accountDeletion.js";
+import { audit, pick } from "../audit/index.js";
+import { collectUserData, createExportZip } from "../export/index.js";
+import { sendAccountDeletion } from "../mail/index.js";
+
+const router = new Router({ prefix: "/user/me" });
+
+const exportFormats = ["json", "zip"];
+// what happens with the public tactons of a deleted account
+const publicTactonOptions = ["delete", "keep"];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     accountDeletion:
+ *       type: object
+ *       properties:
+ *         scheduled:
+ *           type: boolean
+ *         requestedAt:
+ *           type: string
+ *         scheduledAt:
+ *           type: string
+ *           description: Date when the account gets deleted
+ *         publicTactons:
+ *           type: string
+ *           enum: [delete, keep]
+ *         failedAttempts:
+ *           type: number
+ *           format: int32
+ *           description: >
+ *             failed executions after the scheduled date, the deletion is tried again every hour
+ *             and the admins are informed
+ *         lastFailedAt:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /user/me/export:
+ *    get:
+ *      description: >
+ *        Download everything the server stores about your account:
+ *        the profile, the e-mail history, the logins, your tactons with libvtp and motor positions,
+ *        the tags, body tags and layouts you created and your team memberships.
+ *        The zip bundle contains the same data as JSON files and the libvtp of every tacton as .vtp file.
+ *        Passwords, tokens and the two-factor secret are not exported.
+ *      summary: Export your data
+ *      operationId: exportUserData
+ *      tags:
+ *        - user
+ *      parameters:
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, zip]
+ *          default: json
+ *        required: false
+ *        description: JSON file or zip bundle
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The export as download (Content-Disposition attachment)
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: object
+ *            application/zip:
+ *              schema:
+ *                type: string
+ *                format: binary
+ *        400:
+ *          description: Invalid format
+ *        401:
+ *          description: Authentication Error
+ */
+router.get("/export", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const format = ctx.query.format != null ? ctx.query.format : "json";
+  if (!exportFormats.includes(format)) {
+    ctx.throw(400, `Invalid format (${exportFormats.join(", ")})`);
+  }
+
+  const data = await collectUserData(ctx.state.user.id);
+  await audit(ctx, "user.data_exported", {
+    targetId: ctx.state.user.id,
+    details: { format: format },
+  });
+
+  const fileName = `tactjam-export-${
+    data.profile.username
+  }-${data.exportedAt.slice(0, 10)}`;
+  if (format === "zip") {
+    ctx.attachment(`${fileName}.zip`);
+    ctx.type = "application/zip";
+    ctx.body = createExportZip(data);
+  } else {
+    ctx.attachment(`${fileName}.json`);
+    ctx.body = data;
+  }
+});
+
+/**
+ * @swagger
+ * /user/me:
+ *    delete:
+ *      description: >
+ *        Deletes your own account after the grace period (ACCOUNT_DELETION_GRACE_DAYS, default 14 days),
+ *        until then you can login and cancel the deletion. With a grace period of 0 the account is deleted at once.
+ *        Your public tactons are deleted or kept under the anonymous owner "Former participant",
+ *        so the forks of other users keep their parent. Private and team tactons are always deleted,
+ *        tags and body tags are always kept. Team owners need to transfer the ownership first.
+ *        A new request replaces the scheduled one.
+ *      summary: Delete your account
+ *      operationId: deleteOwnUser
+ *      tags:
+ *        - user
+ *      requestBody:
+ *        required: true
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                password:
+ *                  type: string
+ *                  description: Your current password as confirmation
+ *                publicTactons:
+ *                  type: string
+ *                  enum: [delete, keep]
+ *              required:
+ *                - password
+ *                - publicTactons
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        202:
+ *          description: The deletion is scheduled
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/accountDeletion"
+ *        204:
+ *          description: The account is deleted (grace period of 0)
+ *        400:
+ *          description: Invalid request, team owner or admin
+ *        401:
+ *          description: Authentication Error or invalid password
+ */
+router.delete(
+  "/",
+  jwtAuth(jwtAuthOptions),
+  permission({ password: true }),
+  koaBody({ parsedMethods: ["DELETE"] }),
+  async (ctx) => {
+    const { password, publicTactons } = ctx.request.body;
+    if (password == null) {
+      ctx.throw(400, "Password missing");
+    }
+    if (!publicTactonOptions.includes(publicTactons)) {
+      ctx.throw(
+        400,
+        `Invalid publicTactons (${publicTactonOptions.join(", ")})`
+      );
+    }
+
+    const validPassword = await compareHash(password, ctx.state.user.password);
+    if (!validPassword.valid) {
+      ctx.throw(401, "Invalid password");
+    }
+
+    const validation = await validateDeletion(ctx.state.user);
+    if (!validation.valid) {
+      ctx.throw(400, validation.msg);
+    }
+
+    const keepPublicTactons = publicTactons === "keep";
+    if (config.accountDeletion.gracePeriod === 0) {
+      const user = await deleteAccount(ctx.state.user.id, keepPublicTactons);
+      await endSession(ctx);
+      await audit(ctx, "user.delete", {
+        targetId: ctx.state.user.id,
+        before: pick(user, deletionAuditFields),
+        actorId: null,
+        details: { keepPublicTactons: keepPublicTactons },
+      });
+      ctx.status = 204;
+      return;
+    }
+
+    const deletion = await scheduleAccountDeletion(
+      ctx.state.user.id,
+      keepPublicTactons
+    );
+    await audit(ctx, "user.deletion_requested", {
+      targetId: ctx.state.user.id,
+      details: {
+        scheduledAt: deletion.scheduled_at,
+        keepPublicTactons: keepPublicTactons,
+      },
+    });
+    await sendAccountDeletion(
+      ctx.state.user.email,
+      ctx.state.user.name,
+      deletion.scheduled_at,
+      keepPublicTactons
+    );
+
+    ctx.status = 202;
+    ctx.body = createDeletionResponse(deletion);
+  }
+);
+
+/**
+ * @swagger
+ * /user/me/deletion:
+ *    get:
+ *      description: Shows if the deletion of your account is scheduled and when it is executed.
+ *      summary: Scheduled deletion of your account
+ *      operationId: getOwnUserDeletion
+ *      tags:
+ *        - user
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The scheduled deletion, scheduled is false without one
+ *          content:
+ *            application/json:
+ *              schema:
+ *                $ref: "#/components/schemas/accountDeletion"
+ *        401:
+ *          description: Authentication Error
+ */
+router.get("/deletion", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const deletion = await getAccountDeletion(ctx.state.user.id);
+  ctx.body = createDeletionResponse(deletion);
+});
+
+/**
+ * @swagger
+ * /user/me/deletion:
+ *    delete:
+ *      description: Cancels the scheduled deletion of your account, possible until the end of the grace period.
+ *      summary: Cancel the deletion of your account
+ *      operationId: cancelOwnUserDeletion
+ *      tags:
+ *        - user
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: The deletion is cancelled
+ *        400:
+ *          description: No deletion scheduled
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete(
+  "/deletion",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  async (ctx) => {
+    const deletion = await cancelAccountDeletion(ctx.state.user.id);
+    if (deletion == null) {
+      ctx.throw(400, "No account deletion scheduled");
+    }
+
+    await audit(ctx, "user.deletion_cancelled", {
+      targetId: ctx.state.user.id,
+      details: { scheduledAt: deletion.scheduled_at },
+    });
+    ctx.status = 204;
+  }
+);
+
+// export router object
+export default router;
+
+// ---- helper functions ----
+// admins could lock out the server and the members of a team would lose it without owner
+async function validateDeletion(user) {
+  if (user.admin) {
+    return {
+      valid: false,
+      msg: "Admins need to remove their admin role first",
+    };
+  }
+
+  if (user.team_id != null && user.team_role === "owner") {
+    const response = await dbServer.get(
+      `/users?select=id&team_id=eq.${user.team_id}&id=neq.${user.id}&limit=1`
+    );
+    if (response.data.length > 0) {
+      return {
+        valid: false,
+        msg: "The owner needs to transfer the ownership first",
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+function createDeletionResponse(deletion) {
+  if (deletion == null) {
+    return { scheduled: false };
+  }
+  return {
+    scheduled: true,
+    requestedAt: deletion.requested_at,
+    scheduledAt: deletion.scheduled_at,
+    publicTactons: deletion.keep_public_tactons ? "keep" : "delete",
+    failedAttempts: deletion.failed_attempts,
+    lastFailedAt: deletion.last_failed_at,
+  };
+}
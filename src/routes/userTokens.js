@@ -0,0 +1,285 @@
+import Router from "koa-router";
+import validator from "validator";
+import koaBody from "koa-body";
+
+import jwtAuth from "../auth/jwtAuth.js";
+import permission from "../auth/permissionMiddleware.js";
+import jwtAuthOptions from "../auth/jwtAuthOptions.js";
+import { accessTokenScopes, createAccessToken } from "../auth/accessTokens.js";
+import { audit } from "../audit/index.js";
+import dbServer from "../database/dbServer.js";
+
+const router = new Router({ prefix: "/user/tokens" });
+const tokenSelect = "id,name,scopes,created_at,expires_at,last_used_at";
+
+// lifetime of a token in days
+const defaultExpiresIn = 30;
+const maxExpiresIn = 365;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     accessTokenResponse:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tactons:read, tactons:write, admin]
+ *         created_at:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *         last_used_at:
+ *           type: string
+ *           nullable: true
+ *
+ * /user/tokens:
+ *    get:
+ *      description: >
+ *        Get your personal access tokens, the token itself is only shown once after creating it.
+ *        Personal access tokens can't manage tokens.
+ *      summary: get own personal access tokens
+ *      operationId: getAccessTokens
+ *      tags:
+ *        - user
+ *      parameters: []
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: The tokens, the newest first
+ *          content:
+ *            application/json:
+ *              schema:
+ *                type: array
+ *                items:
+ *                  $ref: "#/components/schemas/accessTokenResponse"
+ *        401:
+ *          description: Authentication Error
+ */
+router.get("/", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const response = await dbServer.get(
+    `/access_tokens?select=${tokenSelect}&user_id=eq.${ctx.state.user.id}&order=created_at.desc`
+  );
+  ctx.body = response.data;
+});
+
+/**
+ * @swagger
+ * /user/tokens:
+ *    post:
+ *      description: >
+ *        Creates a personal access token for scripts and tools.
+ *        Send it with the header "Authorization: Bearer <token>".
+ *        The token only works for routes with one of its scopes, the admin scope is for admins only.
+ *      summary: create personal access token
+ *      operationId: createAccessToken
+ *      tags:
+ *        - user
+ *      requestBody:
+ *        required: true
+ *        description: A JSON object containing the name, scopes and lifetime of the token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                name:
+ *                  type: string
+ *                  minLength: 1
+ *                  maxLength: 128
+ *                  description: Unique name of the token, for example the name of the script
+ *                scopes:
+ *                  type: array
+ *                  items:
+ *                    type: string
+ *                    enum: [tactons:read, tactons:write, admin]
+ *                expiresIn:
+ *                  type: integer
+ *                  minimum: 1
+ *                  maximum: 365
+ *                  default: 30
+ *                  description: Days until the token expires
+ *              required:
+ *                - name
+ *                - scopes
+ *            example:
+ *              name: firmware upload
+ *              scopes: [tactons:read, tactons:write]
+ *              expiresIn: 90
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        200:
+ *          description: >
+ *            Successfully created, returns the token with the secret token string.
+ *            Save the token string, it can't be shown again.
+ *          content:
+ *            application/json:
+ *              schema:
+ *                allOf:
+ *                  - $ref: "#/components/schemas/accessTokenResponse"
+ *                  - type: object
+ *                    properties:
+ *                      token:
+ *                        type: string
+ *        400:
+ *          description: Invalid request
+ *        401:
+ *          description: Authentication Error
+ */
+router.post(
+  "/",
+  jwtAuth(jwtAuthOptions),
+  permission(),
+  koaBody(),
+  async (ctx) => {
+    const name = ctx.request.body.name;
+    const scopes = ctx.request.body.scopes;
+    const expiresIn =
+      ctx.request.body.expiresIn != null
+        ? ctx.request.body.expiresIn
+        : defaultExpiresIn;
+
+    // check input
+    if (name == null || scopes == null) {
+      ctx.throw(400, "missing body parameters");
+    }
+    if (
+      typeof name !== "string" ||
+      !validator.isLength(validator.trim(name), { min: 1, max: 128 })
+    ) {
+      ctx.throw(400, "Invalid name (min 1, max 128)");
+    }
+    const validation = validateScopes(ctx.state.user, scopes);
+    if (!validation.valid) {
+      ctx.throw(400, validation.msg);
+    }
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn < 1 ||
+      expiresIn > maxExpiresIn
+    ) {
+      ctx.throw(400, `Invalid expiresIn (days, min 1, max ${maxExpiresIn})`);
+    }
+
+    // the name is unique for every user
+    const tokenName = validator.trim(name);
+    const existingResponse = await dbServer.get(
+      `/access_tokens?select=id&user_id=eq.${
+        ctx.state.user.id
+      }&name=eq.${encodeURIComponent(tokenName)}`
+    );
+    if (existingResponse.data.length > 0) {
+      ctx.throw(400, "There is already a token with this name");
+    }
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + expiresIn);
+
+    const { accessToken, token } = await createAccessToken(
+      ctx.state.user.id,
+      tokenName,
+      [...new Set(scopes)],
+      expiresAt
+    );
+    await audit(ctx, "auth.token_created", {
+      targetId: ctx.state.user.id,
+      details: {
+        tokenId: accessToken.id,
+        name: accessToken.name,
+        scopes: accessToken.scopes,
+      },
+    });
+
+    ctx.body = {
+      id: accessToken.id,
+      name: accessToken.name,
+      scopes: accessToken.scopes,
+      created_at: accessToken.created_at,
+      expires_at: accessToken.expires_at,
+      last_used_at: accessToken.last_used_at,
+      token: token,
+    };
+  }
+);
+
+/**
+ * @swagger
+ * /user/tokens/{tokenId}:
+ *    delete:
+ *      description: Revokes one of your personal access tokens
+ *      summary: delete personal access token
+ *      operationId: deleteAccessToken
+ *      tags:
+ *        - user
+ *      parameters:
+ *      - in: path
+ *        name: tokenId
+ *        schema:
+ *          type: string
+ *          format: uuid
+ *        required: true
+ *        description: Unique ID of the token
+ *      security:
+ *        - cookieAuth: []
+ *      responses:
+ *        204:
+ *          description: Successfully deleted the token
+ *        400:
+ *          description: Invalid request, no token found
+ *        401:
+ *          description: Authentication Error
+ */
+router.delete("/:id", jwtAuth(jwtAuthOptions), permission(), async (ctx) => {
+  const id = ctx.params.id;
+  if (!validator.isUUID(id)) {
+    ctx.throw(400, "Invalid id");
+  }
+
+  const response = await dbServer.delete(
+    `/access_tokens?and=(id.eq.${id},user_id.eq.${ctx.state.user.id})`,
+    { headers: { Prefer: "return=representation" } }
+  );
+  if (response.data.length === 0) {
+    ctx.throw(400, "No token found");
+  }
+  await audit(ctx, "auth.token_deleted", {
+    targetId: ctx.state.user.id,
+    details: { tokenId: id, name: response.data[0].name },
+  });
+
+  ctx.status = 204;
+});
+
+// export router object
+export default router;
+
+// ---- helper functions ----
+function validateScopes(user, scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, msg: "At least one scope is needed" };
+  }
+
+  const invalidScope = scopes.find((x) => !accessTokenScopes.includes(x));
+  if (invalidScope !== undefined) {
+    return {
+      valid: false,
+      msg: `Invalid scope, allowed: ${accessTokenScopes.join(", ")}`,
+    };
+  }
+
+  if (scopes.includes("admin") && !user.admin) {
+    return { valid: false, msg: "Only admins can use the admin scope" };
+  }
+
+  return { valid: true };
+}
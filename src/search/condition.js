@@ -0,0 +1,88 @@
+/**
+ * Creates the postgREST condition from the tree of a parsed search query.
+ * The condition works on the view gettactons.
+ * NOT is pushed down to the single comparisons, since postgREST can only negate operators.
+ */
+import { quoteValue } from "../database/pagination.js";
+
+export function toCondition(node, negated = false) {
+  switch (node.type) {
+    case "and":
+    case "or": {
+      // De Morgan: NOT (a AND b) is the same as NOT a OR NOT b
+      const operator = (node.type === "and") !== negated ? "and" : "or";
+      return `${operator}(${node.children
+        .map((child) => toCondition(child, negated))
+        .join()})`;
+    }
+    case "not":
+      return toCondition(node.child, !negated);
+    case "text":
+      return getTextCondition(node.value, negated);
+    case "tag":
+      return compare(
+        "tag_names",
+        "cs",
+        `{${getTagValue(node.value)}}`,
+        negated
+      );
+    case "bodytag":
+      return compare(
+        "bodytag_names",
+        "cs",
+        `{${getTagValue(node.value)}}`,
+        negated
+      );
+    case "author":
+      return compare("author_name", "ilike", quote(node.value), negated);
+    case "team":
+      // tactons without a team should match "NOT team:..."
+      return negated
+        ? `or(team_name.is.null,${compare(
+            "team_name",
+            "ilike",
+            quote(node.value),
+            true
+          )})`
+        : compare("team_name", "ilike", quote(node.value), false);
+    case "duration":
+      return compare("duration_ms", node.operator, node.value, negated);
+    default:
+      throw new Error(`Unknown search node ${node.type}`);
+  }
+}
+
+// ---- helper functions ----
+function getTextCondition(value, negated) {
+  const pattern = quote(`*${value}*`);
+
+  if (!negated) {
+    return `or(${[
+      compare("title", "ilike", pattern),
+      compare("description", "ilike", pattern),
+      compare("tag_text", "ilike", pattern),
+      compare("bodytag_text", "ilike", pattern),
+    ].join()})`;
+  }
+
+  // the description is optional, a missing description does not contain the text
+  return `and(${[
+    compare("title", "ilike", pattern, true),
+    `or(description.is.null,${compare("description", "ilike", pattern, true)})`,
+    compare("tag_text", "ilike", pattern, true),
+    compare("bodytag_text", "ilike", pattern, true),
+  ].join()})`;
+}
+
+function compare(column, operator, value, negated = false) {
+  return `${column}.${negated ? "not." : ""}${operator}.${value}`;
+}
+
+function quote(value) {
+  return encodeURIComponent(quoteValue(value));
+}
+
+function getTagValue(value) {
+  // tags are saved in lowercase
+  return encodeURIComponent(value.trim().toLowerCase());
+}
@@ -0,0 +1,226 @@
+/**
+ * Parser for the search query language of tactons.
+ *
+ * Examples:
+ * - vibration "left arm"           both terms need to match (AND is optional)
+ * - wave OR pulse                  one of the terms needs to match
+ * - NOT draft / -draft             the term must not match
+ * - (wave OR pulse) tag:workshop   groups with brackets
+ * - tag:, bodytag:, author:, team: qualifiers, use quotes for values with spaces
+ * - duration:<2s                   compare the duration (<, <=, >, >=, =) in s or ms
+ *
+ * The result is a tree of nodes:
+ * - { type: "and" | "or", children: [] }
+ * - { type: "not", child: {} }
+ * - { type: "text", value, phrase }
+ * - { type: "tag" | "bodytag" | "author" | "team", value }
+ * - { type: "duration", operator, value } with the value in ms
+ */
+export const qualifiers = ["tag", "bodytag", "author", "team", "duration"];
+
+const durationOperators = {
+  "<": "lt",
+  "<=": "lte",
+  ">": "gt",
+  ">=": "gte",
+  "=": "eq",
+};
+
+export const maxQueryLength = 512;
+
+export function parse(query) {
+  if (typeof query !== "string" || query.trim().length === 0) {
+    return { valid: false, msg: "Search query is empty" };
+  }
+  if (query.length > maxQueryLength) {
+    return {
+      valid: false,
+      msg: `Search query is too long (max: ${maxQueryLength})`,
+    };
+  }
+
+  try {
+    const tree = parseTokens(tokenize(query));
+    return { valid: true, tree: tree };
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      return { valid: false, msg: e.message };
+    }
+    throw e;
+  }
+}
+
+// ---- helper functions ----
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, value: char });
+      i++;
+    } else if (char === '"') {
+      const phrase = readPhrase(query, i);
+      tokens.push({ type: "phrase", value: phrase.value });
+      i = phrase.end;
+    } else if (
+      char === "-" &&
+      i + 1 < query.length &&
+      /\S/.test(query[i + 1])
+    ) {
+      // a minus in front of a term negates it
+      tokens.push({ type: "NOT", value: "-" });
+      i++;
+    } else {
+      let end = i;
+      while (end < query.length && !/[\s()"]/.test(query[end])) {
+        end++;
+      }
+      const word = query.slice(i, end);
+      i = end;
+
+      const separator = word.indexOf(":");
+      const qualifier = word.slice(0, separator).toLowerCase();
+      if (separator > 0 && qualifiers.includes(qualifier)) {
+        let value = word.slice(separator + 1);
+
+        // the value of the qualifier can be a phrase as well
+        if (value === "" && query[i] === '"') {
+          const phrase = readPhrase(query, i);
+          value = phrase.value;
+          i = phrase.end;
+        }
+        if (value === "") {
+          throw new SyntaxError(`Missing value for "${qualifier}:"`);
+        }
+
+        // same rules as creating a (body)tag
+        if (
+          ["tag", "bodytag"].includes(qualifier) &&
+          !/^[a-zA-Z0-9 -]{2,128}$/.test(value)
+        ) {
+          throw new SyntaxError(`Invalid ${qualifier} name "${value}"`);
+        }
+
+        tokens.push({ type: "qualifier", qualifier: qualifier, value: value });
+      } else if (["AND", "OR", "NOT"].includes(word)) {
+        tokens.push({ type: word, value: word });
+      } else {
+        tokens.push({ type: "word", value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+function readPhrase(query, start) {
+  const end = query.indexOf('"', start + 1);
+  if (end < 0) {
+    throw new SyntaxError("Missing closing quote");
+  }
+
+  const value = query.slice(start + 1, end).trim();
+  if (value === "") {
+    throw new SyntaxError("Empty phrase");
+  }
+
+  return { value: value, end: end + 1 };
+}
+
+function parseDuration(value) {
+  const match = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(ms|s)?$/.exec(value);
+  if (match == null) {
+    throw new SyntaxError(
+      `Invalid duration "${value}", use something like duration:<2s`
+    );
+  }
+
+  const operator = durationOperators[match[1] || "="];
+  const factor = match[3] === "ms" ? 1 : 1000;
+
+  return {
+    type: "duration",
+    operator: operator,
+    value: Math.round(parseFloat(match[2]) * factor),
+  };
+}
+
+function parseTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() != null && peek().type === "OR") {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1
+      ? children[0]
+      : { type: "or", children: children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() != null && peek().type !== "OR" && peek().type !== ")") {
+      // AND is optional between two terms
+      if (peek().type === "AND") {
+        next();
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1
+      ? children[0]
+      : { type: "and", children: children };
+  }
+
+  function parseUnary() {
+    if (peek() != null && peek().type === "NOT") {
+      next();
+      return { type: "not", child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token == null) {
+      throw new SyntaxError("Unexpected end of the search query");
+    }
+
+    switch (token.type) {
+      case "(": {
+        const node = parseOr();
+        const closing = next();
+        if (closing == null || closing.type !== ")") {
+          throw new SyntaxError("Missing closing bracket");
+        }
+        return node;
+      }
+      case "word":
+        return { type: "text", value: token.value, phrase: false };
+      case "phrase":
+        return { type: "text", value: token.value, phrase: true };
+      case "qualifier":
+        if (token.qualifier === "duration") {
+          return parseDuration(token.value);
+        }
+        return { type: token.qualifier, value: token.value };
+      default:
+        throw new SyntaxError(`Unexpected "${token.value}"`);
+    }
+  }
+
+  const tree = parseOr();
+  if (peek() != null) {
+    throw new SyntaxError(`Unexpected "${peek().value}"`);
+  }
+
+  return tree;
+}
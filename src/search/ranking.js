@@ -0,0 +1,86 @@
+/**
+ * Ranks the results of a search by relevance.
+ * Only the terms which should match are used, negated terms don't add anything.
+ * The row needs the columns title, description, tag_names and bodytag_names of the view gettactons.
+ */
+const weights = {
+  titleExact: 10,
+  title: 5,
+  tagExact: 4,
+  tag: 2,
+  bodyTagExact: 3,
+  bodyTag: 1,
+  description: 1,
+  // a matching phrase is more specific than a single word
+  phrase: 2,
+};
+
+export function rank(tree, row) {
+  const terms = getTerms(tree);
+  const title = (row.title || "").toLowerCase();
+  const description = (row.description || "").toLowerCase();
+  const tags = (row.tag_names || []).map((tag) => tag.toLowerCase());
+  const bodyTags = (row.bodytag_names || []).map((tag) => tag.toLowerCase());
+
+  let score = 0;
+  terms.forEach((term) => {
+    const value = term.value.toLowerCase();
+    let termScore = 0;
+
+    if (term.type === "text") {
+      if (title === value) {
+        termScore += weights.titleExact;
+      } else if (title.includes(value)) {
+        termScore += weights.title;
+      }
+      termScore += getListScore(tags, value, weights.tagExact, weights.tag);
+      termScore += getListScore(
+        bodyTags,
+        value,
+        weights.bodyTagExact,
+        weights.bodyTag
+      );
+      if (description.includes(value)) {
+        termScore += weights.description;
+      }
+      if (term.phrase) {
+        termScore *= weights.phrase;
+      }
+    } else if (term.type === "tag" && tags.includes(value)) {
+      termScore += weights.tagExact;
+    } else if (term.type === "bodytag" && bodyTags.includes(value)) {
+      termScore += weights.bodyTagExact;
+    }
+
+    score += termScore;
+  });
+
+  return score;
+}
+
+// ---- helper functions ----
+function getTerms(node) {
+  switch (node.type) {
+    case "and":
+    case "or":
+      return node.children.flatMap((child) => getTerms(child));
+    case "not":
+      return [];
+    case "text":
+    case "tag":
+    case "bodytag":
+      return [node];
+    default:
+      return [];
+  }
+}
+
+function getListScore(list, value, exactWeight, weight) {
+  if (list.includes(value)) {
+    return exactWeight;
+  }
+  if (list.some((entry) => entry.includes(value))) {
+    return weight;
+  }
+  return 0;
+}
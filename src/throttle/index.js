@@ -0,0 +1,109 @@
+/**
+ * Throttling of the login and password routes against brute-force attacks.
+ * Attempts are counted per account and per IP address, after the free attempts
+ * every attempt locks the key for an exponentially growing time (429 with Retry-After).
+ * The store is chosen with the config (THROTTLE_STORE), a store is an object with a name and
+ * the async functions get(key), set(key, value, expiresAt), delete(key) and list().
+ */
+import config from "../config/index.js";
+import createMemoryStore from "./stores/memory.js";
+
+let store = null;
+
+export function getStore() {
+  if (store == null) {
+    store = createStore(config.throttle);
+  }
+  return store;
+}
+
+// replace the store, for example with a shared store for multiple processes
+export function setStore(newStore) {
+  store = newStore;
+}
+
+// keys of an action like "login:ip:127.0.0.1" and "login:account:<user id or login>"
+export function getThrottleKeys(action, ip, account = null) {
+  const keys = [`${action}:ip:${ip}`];
+  if (account != null) {
+    keys.push(`${action}:account:${account}`);
+  }
+  return keys;
+}
+
+// throws 429 if one of the keys is locked
+export async function checkThrottle(ctx, keys) {
+  const now = Date.now();
+  let lockedUntil = 0;
+  for (const key of keys) {
+    const entry = await getStore().get(key);
+    if (entry != null && entry.lockedUntil > lockedUntil) {
+      lockedUntil = entry.lockedUntil;
+    }
+  }
+
+  if (lockedUntil > now) {
+    ctx.set("Retry-After", Math.ceil((lockedUntil - now) / 1000).toString());
+    ctx.throw(429, "Too many attempts, please try again later");
+  }
+}
+
+// counts a failed (or limited) attempt and locks the keys after the free attempts
+export async function registerAttempt(keys) {
+  const now = Date.now();
+  for (const key of keys) {
+    const entry = await getStore().get(key);
+    const attempts = entry != null ? entry.attempts + 1 : 1;
+    const delay = getDelay(getKeyType(key), attempts);
+    const lockedUntil = delay > 0 ? now + delay : 0;
+
+    // the attempts are forgotten after the window without new attempts
+    await getStore().set(
+      key,
+      { attempts: attempts, lastAttempt: now, lockedUntil: lockedUntil },
+      Math.max(lockedUntil, now + config.throttle.window * 1000)
+    );
+  }
+}
+
+// forgets the attempts, for example after a successful login
+export async function resetThrottle(keys) {
+  for (const key of keys) {
+    await getStore().delete(key);
+  }
+}
+
+// every tracked key with its attempts and the end of the lockout
+export async function getAttempts() {
+  const entries = await getStore().list();
+  return entries.sort((a, b) => b.lastAttempt - a.lastAttempt);
+}
+
+// ---- helper functions ----
+function createStore(options) {
+  switch (options.store) {
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown throttle store ${options.store}`);
+  }
+}
+
+function getKeyType(key) {
+  return key.split(":")[1];
+}
+
+// milliseconds the key is locked after the attempt
+function getDelay(type, attempts) {
+  const freeAttempts =
+    type === "ip"
+      ? config.throttle.ipAttempts
+      : config.throttle.accountAttempts;
+  const exceeded = attempts - freeAttempts;
+  if (exceeded <= 0) {
+    return 0;
+  }
+
+  const delay = config.throttle.baseDelay * 2 ** (exceeded - 1);
+  return Math.min(delay, config.throttle.maxDelay) * 1000;
+}
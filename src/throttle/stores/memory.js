@@ -0,0 +1,46 @@
+// keeps the attempts in memory, they are lost with a restart and not shared between processes
+// at most maxEntries keys are kept, if there are more the oldest ones are forgotten
+export default function createMemoryStore({ maxEntries = 10000 } = {}) {
+  const entries = new Map();
+
+  // removes the expired entries
+  function cleanup() {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry == null || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, expiresAt) {
+      // the map keeps the order of insertion, so the updated key moves to the end
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        cleanup();
+        // still full: forget the oldest keys, with some space so the next writes don't clean up again
+        const keys = entries.keys();
+        while (entries.size >= maxEntries * 0.9) {
+          entries.delete(keys.next().value);
+        }
+      }
+      entries.set(key, { value: value, expiresAt: expiresAt });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list() {
+      cleanup();
+      return [...entries].map(([key, entry]) => ({ key: key, ...entry.value }));
+    },
+  };
+}